@@ -3,12 +3,50 @@ cat >dist/esm/index.js <<!EOF
 import cjsModule from '../index.js';
 export const createList = cjsModule.createList;
 export const decodeList = cjsModule.decodeList;
+export const diffLists = cjsModule.diffLists;
 export const createCredential = cjsModule.createCredential;
+export const issueStatusListCredential = cjsModule.issueStatusListCredential;
+export const refreshStatusListCredential = cjsModule.refreshStatusListCredential;
+export const createStatusListBundle = cjsModule.createStatusListBundle;
 export const getCredentialStatus = cjsModule.getCredentialStatus;
+export const validateStatusListCredential = cjsModule.validateStatusListCredential;
 export const checkStatus = cjsModule.checkStatus;
+export const checkStatusAt = cjsModule.checkStatusAt;
+export const checkStatuses = cjsModule.checkStatuses;
+export const checkPresentationStatus = cjsModule.checkPresentationStatus;
 export const statusTypeMatches = cjsModule.statusTypeMatches;
 export const assertStatusList2021Context = cjsModule.assertStatusList2021Context;
+export const assertBitstringStatusListContext = cjsModule.assertBitstringStatusListContext;
 export const StatusList = cjsModule.StatusList;
+export const StatusListCache = cjsModule.StatusListCache;
+export const StatusListHistory = cjsModule.StatusListHistory;
+export const StatusListCredentialArchive = cjsModule.StatusListCredentialArchive;
+export const StatusListBundle = cjsModule.StatusListBundle;
+export const StatusListChain = cjsModule.StatusListChain;
+export const StatusListChainTracker = cjsModule.StatusListChainTracker;
+export const verifyChainLink = cjsModule.verifyChainLink;
+export const StatusListManager = cjsModule.StatusListManager;
+export const IndexAllocator = cjsModule.IndexAllocator;
+export const MemoryStatusListStorage = cjsModule.MemoryStatusListStorage;
+export const FileStatusListStorage = cjsModule.FileStatusListStorage;
+export const DEFAULT_STATUS_POLICY = cjsModule.DEFAULT_STATUS_POLICY;
+export const StatusListError = cjsModule.StatusListError;
+export const StatusListNotFoundError = cjsModule.StatusListNotFoundError;
+export const StatusListNotVerifiedError = cjsModule.StatusListNotVerifiedError;
+export const StatusPurposeMismatchError = cjsModule.StatusPurposeMismatchError;
+export const StatusListIssuerMismatchError = cjsModule.StatusListIssuerMismatchError;
+export const StatusListValidityError = cjsModule.StatusListValidityError;
+export const StatusIndexOutOfRangeError = cjsModule.StatusIndexOutOfRangeError;
+export const StatusListDecodeError = cjsModule.StatusListDecodeError;
+export const InvalidStatusEntryError = cjsModule.InvalidStatusEntryError;
+export const InvalidStatusListError = cjsModule.InvalidStatusListError;
+export const createStatusListToken = cjsModule.createStatusListToken;
+export const decodeStatusListToken = cjsModule.decodeStatusListToken;
+export const checkTokenStatus = cjsModule.checkTokenStatus;
+export const createStatusListCwt = cjsModule.createStatusListCwt;
+export const decodeStatusListCwt = cjsModule.decodeStatusListCwt;
+export const checkMdocStatus = cjsModule.checkMdocStatus;
+export const TOKEN_STATUS = cjsModule.TOKEN_STATUS;
 !EOF
 
 cat >dist/esm/package.json <<!EOF
@@ -0,0 +1,112 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {dirname, fs} from './fs.js';
+import {MemoryStatusListStorage} from './MemoryStatusListStorage.js';
+
+/**
+ * Stores the status lists and index assignments of a `StatusListManager` in
+ * a JSON file. The file is read once and rewritten, via a temporary file,
+ * after every change; it is meant for a single process and for deployments
+ * small enough to keep all assignments in memory.
+ */
+export class FileStatusListStorage extends MemoryStatusListStorage {
+  /**
+   * @param {object} options - Options to use.
+   * @param {string} options.path - The path of the JSON file; it is created
+   *   if it does not exist.
+   */
+  constructor({path} = {}) {
+    super();
+    if(!(path && typeof path === 'string')) {
+      throw new TypeError('"path" must be a string.');
+    }
+    this.path = path;
+    this._loading = undefined;
+    this._saving = undefined;
+  }
+
+  async getListIds() {
+    await this._load();
+    return super.getListIds();
+  }
+
+  async getList({id}) {
+    await this._load();
+    return super.getList({id});
+  }
+
+  async putList({list}) {
+    await this._load();
+    await super.putList({list});
+    await this._save();
+  }
+
+  async getAssignment({credentialId, statusPurpose}) {
+    await this._load();
+    return super.getAssignment({credentialId, statusPurpose});
+  }
+
+  async putAssignment({credentialId, statusPurpose, credentialStatus}) {
+    await this._load();
+    await super.putAssignment({credentialId, statusPurpose, credentialStatus});
+    await this._save();
+  }
+
+  async _load() {
+    if(!this._loading) {
+      this._loading = this._read().catch(e => {
+        // try again on the next call
+        this._loading = undefined;
+        throw e;
+      });
+    }
+    return this._loading;
+  }
+
+  async _read() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch(e) {
+      if(e.code === 'ENOENT') {
+        return;
+      }
+      const err = new Error(
+        `Could not read status list storage "${this.path}"; ` +
+        `reason: ${e.message}`);
+      err.cause = e;
+      throw err;
+    }
+    for(const list of data.lists) {
+      this._lists.set(list.id, list);
+    }
+    for(const {credentialId, statusPurpose, credentialStatus} of
+      data.assignments) {
+      await super.putAssignment(
+        {credentialId, statusPurpose, credentialStatus});
+    }
+  }
+
+  async _save() {
+    // writes are serialized so that the file always has the latest state
+    this._saving = (this._saving || Promise.resolve())
+      .catch(() => {})
+      .then(() => this._write());
+    return this._saving;
+  }
+
+  async _write() {
+    const assignments = [];
+    for(const [credentialId, entries] of this._assignments) {
+      for(const [statusPurpose, credentialStatus] of entries) {
+        assignments.push({credentialId, statusPurpose, credentialStatus});
+      }
+    }
+    const data = {lists: [...this._lists.values()], assignments};
+    const tmp = `${this.path}.tmp`;
+    await fs.mkdir(dirname(this.path), {recursive: true});
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, this.path);
+  }
+}
@@ -0,0 +1,148 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getRandomValues} from './crypto.js';
+import {POPCOUNT, StatusList} from './StatusList.js';
+
+const ALLOCATION_MODES = ['sequential', 'random'];
+
+/**
+ * Hands out the indexes of a status list, each at most once. In
+ * `sequential` mode indexes are handed out in ascending order; in `random`
+ * mode each index is chosen uniformly at random, with a cryptographically
+ * secure RNG, among the indexes that are still free, so that the position
+ * of a status does not reveal the order in which credentials were issued.
+ *
+ * The allocated indexes are tracked in a 1-bit `StatusList` that can be
+ * encoded and stored alongside the status list.
+ */
+export class IndexAllocator {
+  /**
+   * @param {object} options - Options to use.
+   * @param {number} [options.length] - The number of indexes; required for
+   *   a new allocator and defaults to the length of `allocated`.
+   * @param {StatusList} [options.allocated] - The indexes allocated so far,
+   *   as set bits.
+   * @param {string} [options.mode='sequential'] - The allocation mode,
+   *   either "sequential" or "random".
+   */
+  constructor({length, allocated, mode = 'sequential'} = {}) {
+    if(!ALLOCATION_MODES.includes(mode)) {
+      throw new TypeError(
+        `"mode" must be one of ${ALLOCATION_MODES.join(', ')}.`);
+    }
+    if(allocated === undefined) {
+      allocated = new StatusList({length});
+    }
+    if(!(allocated instanceof StatusList && allocated.statusSize === 1)) {
+      throw new TypeError('"allocated" must be a 1-bit "StatusList".');
+    }
+    // decoded lists are padded to whole bytes
+    if(length === undefined) {
+      length = allocated.length;
+    }
+    if(!(Number.isInteger(length) && length > 0 &&
+      length <= allocated.length)) {
+      throw new TypeError(
+        `"length" must be a positive integer up to ${allocated.length}.`);
+    }
+    this.mode = mode;
+    this.allocated = allocated;
+    this.length = length;
+    this.count = allocated.countSet();
+    // ignore any padding bits after the end of the list
+    for(let index = length; index < allocated.length; ++index) {
+      if(allocated.getStatus(index)) {
+        this.count--;
+      }
+    }
+  }
+
+  /**
+   * The number of indexes that are still free.
+   *
+   * @returns {number} The number of free indexes.
+   */
+  get remaining() {
+    return this.length - this.count;
+  }
+
+  /**
+   * Whether every index has been allocated; a new list must be opened to
+   * allocate more indexes.
+   *
+   * @returns {boolean} `true` if no index is free.
+   */
+  get exhausted() {
+    return this.remaining === 0;
+  }
+
+  /**
+   * Allocates a free index.
+   *
+   * @returns {number} The index.
+   */
+  allocate() {
+    if(this.exhausted) {
+      throw new Error('Status list is exhausted; no free index is left.');
+    }
+    // the n-th free index, counting from zero
+    const n = this.mode === 'random' ? _randomInt(this.remaining) : 0;
+    const index = _findFreeIndex({list: this.allocated, n});
+    this.allocated.setStatus(index, true);
+    this.count++;
+    return index;
+  }
+
+  /**
+   * Encodes the allocated indexes.
+   *
+   * @returns {Promise<string>} The GZIP base64url encoded allocated indexes.
+   */
+  async encode() {
+    return this.allocated.encode();
+  }
+
+  /**
+   * Decodes an allocator from its encoded allocated indexes.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.encodedList - The encoded allocated indexes.
+   * @param {number} [options.length] - The number of indexes.
+   * @param {string} [options.mode='sequential'] - The allocation mode.
+   *
+   * @returns {Promise<IndexAllocator>} The allocator.
+   */
+  static async decode({encodedList, length, mode}) {
+    const allocated = await StatusList.decode({encodedList});
+    return new IndexAllocator({allocated, length, mode});
+  }
+}
+
+// returns a uniformly distributed integer in [0, max) for `max` <= 2^32
+function _randomInt(max) {
+  // reject values from the incomplete last range to avoid modulo bias
+  const limit = 2 ** 32 - (2 ** 32 % max);
+  const values = new Uint32Array(1);
+  do {
+    getRandomValues(values);
+  } while(values[0] >= limit);
+  return values[0] % max;
+}
+
+function _findFreeIndex({list, n}) {
+  const {bits} = list.bitstring;
+  // skip whole bytes, then find the bit within the byte
+  for(let i = 0; i < bits.length; ++i) {
+    const free = 8 - POPCOUNT[bits[i]];
+    if(n >= free) {
+      n -= free;
+      continue;
+    }
+    for(let bit = 0; bit < 8; ++bit) {
+      if(!(bits[i] & (1 << bit)) && n-- === 0) {
+        return i * 8 + bit;
+      }
+    }
+  }
+}
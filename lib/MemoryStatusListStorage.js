@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Stores the status lists and index assignments of a `StatusListManager` in
+ * memory. It also defines the storage interface that other adapters, such
+ * as `FileStatusListStorage`, implement.
+ *
+ * A stored list is an object with the list metadata (`id`, `statusPurpose`,
+ * `length`, `statusSize`, `version`, the number of `allocated` indexes and
+ * the `allocatedList` of allocated indexes) and its bits as the GZIP
+ * base64url `encodedList`. An assignment is the
+ * `credentialStatus` entry allocated to a credential for a status purpose.
+ */
+export class MemoryStatusListStorage {
+  constructor() {
+    // list id => list, in the order the lists were added
+    this._lists = new Map();
+    // credential id => status purpose => credentialStatus entry
+    this._assignments = new Map();
+  }
+
+  /**
+   * Gets the ids of all lists, in the order they were added.
+   *
+   * @returns {Promise<Array<string>>} The list ids.
+   */
+  async getListIds() {
+    return [...this._lists.keys()];
+  }
+
+  /**
+   * Gets a list.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.id - The id of the list.
+   *
+   * @returns {Promise<object|undefined>} The list, if any.
+   */
+  async getList({id}) {
+    const list = this._lists.get(id);
+    return list && {...list};
+  }
+
+  /**
+   * Adds or updates a list. A new list must have `version` 0 and each update
+   * must increment the `version` of the stored list by one; a mismatch means
+   * the list was changed concurrently.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.list - The list.
+   */
+  async putList({list}) {
+    _assertVersion({list, stored: this._lists.get(list.id)});
+    this._lists.set(list.id, {...list});
+  }
+
+  /**
+   * Gets the `credentialStatus` entry assigned to a credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   * @param {string} options.statusPurpose - The status purpose of the entry.
+   *
+   * @returns {Promise<object|undefined>} The entry, if any.
+   */
+  async getAssignment({credentialId, statusPurpose}) {
+    const assignments = this._assignments.get(credentialId);
+    const credentialStatus = assignments && assignments.get(statusPurpose);
+    return credentialStatus && {...credentialStatus};
+  }
+
+  /**
+   * Assigns a `credentialStatus` entry to a credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   * @param {string} options.statusPurpose - The status purpose of the entry.
+   * @param {object} options.credentialStatus - The entry.
+   */
+  async putAssignment({credentialId, statusPurpose, credentialStatus}) {
+    let assignments = this._assignments.get(credentialId);
+    if(!assignments) {
+      assignments = new Map();
+      this._assignments.set(credentialId, assignments);
+    }
+    assignments.set(statusPurpose, {...credentialStatus});
+  }
+}
+
+function _assertVersion({list, stored}) {
+  const expected = stored ? stored.version + 1 : 0;
+  if(list.version !== expected) {
+    throw new Error(
+      `Status list "${list.id}" has version ${list.version} but version ` +
+      `${expected} was expected; it may have been changed concurrently.`);
+  }
+}
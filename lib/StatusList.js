@@ -1,33 +1,286 @@
 /*!
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
+import * as base64url from '@digitalcredentials/base64url-universal';
+import * as cborg from 'cborg';
+import {deflate, inflate} from 'pako';
 import {Bitstring} from '@digitalcredentials/bitstring';
 
+// entry sizes supported by the IETF Token Status List
+const TOKEN_LIST_BITS = [1, 2, 4, 8];
+// bitwise operations to merge lists with
+const MERGE_OPERATIONS = {
+  or: (a, b) => a | b,
+  and: (a, b) => a & b,
+  xor: (a, b) => a ^ b
+};
+// the number of set bits of each byte value
+export const POPCOUNT = new Uint8Array(256).map(
+  (_, byte) => byte.toString(2).split('1').length - 1);
+
 export class StatusList {
-  constructor({length, buffer} = {}) {
+  /**
+   * Creates a status list. Each entry in the list is `statusSize` bits wide;
+   * the bits of an entry's value are stored least significant bit first
+   * starting at bit position `index * statusSize`.
+   *
+   * @param {object} options - Options to use.
+   * @param {number} [options.length] - The number of entries in the list.
+   * @param {Uint8Array} [options.buffer] - The raw bits of the list.
+   * @param {number} [options.statusSize=1] - The number of bits per entry.
+   */
+  constructor({length, buffer, statusSize = 1} = {}) {
+    if(!(Number.isInteger(statusSize) && statusSize > 0)) {
+      throw new TypeError('"statusSize" must be a positive integer.');
+    }
+    if(length !== undefined && statusSize > 1) {
+      if(!(Number.isInteger(length) && length > 0)) {
+        throw new TypeError('"length" must be a positive integer.');
+      }
+      length *= statusSize;
+    }
     this.bitstring = new Bitstring({length, buffer});
-    this.length = this.bitstring.length;
+    this.statusSize = statusSize;
+    this.length = Math.floor(this.bitstring.length / statusSize);
   }
 
   setStatus(index, status) {
-    if(typeof status !== 'boolean') {
-      throw new TypeError('"status" must be a boolean.');
+    this._assertStatus(status);
+    if(this.statusSize === 1) {
+      return this.bitstring.set(index, status);
+    }
+    const position = this._getPosition(index);
+    for(let i = 0; i < this.statusSize; ++i) {
+      this.bitstring.set(position + i, ((status >>> i) & 1) === 1);
     }
-    return this.bitstring.set(index, status);
   }
 
   getStatus(index) {
-    return this.bitstring.get(index);
+    if(this.statusSize === 1) {
+      return this.bitstring.get(index);
+    }
+    const position = this._getPosition(index);
+    let status = 0;
+    for(let i = 0; i < this.statusSize; ++i) {
+      if(this.bitstring.get(position + i)) {
+        status += 2 ** i;
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Sets the status of many entries.
+   *
+   * @param {Array<number>} indexes - The indexes of the entries.
+   * @param {boolean|number} status - The status to set.
+   */
+  setStatuses(indexes, status) {
+    this._assertStatus(status);
+    if(!Array.isArray(indexes)) {
+      throw new TypeError('"indexes" must be an array.');
+    }
+    // check every index before changing any entry
+    indexes.forEach(index => this._getPosition(index));
+    if(this.statusSize === 1) {
+      const {bits} = this.bitstring;
+      for(const index of indexes) {
+        if(status) {
+          bits[index >>> 3] |= 1 << (index & 7);
+        } else {
+          bits[index >>> 3] &= ~(1 << (index & 7));
+        }
+      }
+      return;
+    }
+    for(const index of indexes) {
+      this.setStatus(index, status);
+    }
+  }
+
+  /**
+   * Sets the status of the entries from `start` up to, but not including,
+   * `end`.
+   *
+   * @param {number} start - The index of the first entry.
+   * @param {number} end - The index after the last entry.
+   * @param {boolean|number} status - The status to set.
+   */
+  setStatusRange(start, end, status) {
+    this._assertStatus(status);
+    if(!(Number.isInteger(start) && Number.isInteger(end) &&
+      start >= 0 && start <= end && end <= this.length)) {
+      throw new TypeError(
+        `"start" and "end" must be integers with 0 <= start <= end <= ` +
+        `${this.length}.`);
+    }
+    if(this.statusSize !== 1) {
+      for(let index = start; index < end; ++index) {
+        this.setStatus(index, status);
+      }
+      return;
+    }
+    const {bits} = this.bitstring;
+    const byte = status ? 0xFF : 0;
+    let index = start;
+    // set the bits up to the first whole byte, the whole bytes, then the rest
+    for(; index < end && (index & 7) !== 0; ++index) {
+      this.bitstring.set(index, status);
+    }
+    const wholeBytesEnd = index + ((end - index) & ~7);
+    bits.fill(byte, index >>> 3, wholeBytesEnd >>> 3);
+    for(index = wholeBytesEnd; index < end; ++index) {
+      this.bitstring.set(index, status);
+    }
+  }
+
+  /**
+   * Gets the indexes of all entries with a set (non-zero) status.
+   *
+   * @returns {Array<number>} The indexes in ascending order.
+   */
+  getSetIndexes() {
+    const indexes = [];
+    this._forEachSet(index => indexes.push(index));
+    return indexes;
+  }
+
+  /**
+   * Counts the entries with a set (non-zero) status; for a list with 1-bit
+   * entries that is the number of set bits.
+   *
+   * @returns {number} The number of set entries.
+   */
+  countSet() {
+    if(this.statusSize !== 1) {
+      let count = 0;
+      this._forEachSet(() => count++);
+      return count;
+    }
+    // bits after the end of the list are never set
+    let count = 0;
+    for(const byte of this.bitstring.bits) {
+      count += POPCOUNT[byte];
+    }
+    return count;
+  }
+
+  /**
+   * Finds the first entry with a clear (zero) status at or after an index.
+   *
+   * @param {number} [from=0] - The index to start searching at.
+   *
+   * @returns {number} The index of the entry or -1 if every entry is set.
+   */
+  nextClearIndex(from = 0) {
+    if(!(Number.isInteger(from) && from >= 0)) {
+      throw new TypeError('"from" must be a non-negative integer.');
+    }
+    const {bits} = this.bitstring;
+    for(let index = from; index < this.length; ++index) {
+      // skip whole bytes of set 1-bit entries
+      if(this.statusSize === 1 && (index & 7) === 0 &&
+        bits[index >>> 3] === 0xFF) {
+        index += 7;
+        continue;
+      }
+      if(!this.getStatus(index)) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Creates a copy of the list with more entries. The statuses of the
+   * existing entries are kept and the new entries are clear.
+   *
+   * @param {number} length - The number of entries of the new list; it
+   *   must not be less than the current length.
+   *
+   * @returns {StatusList} The new list.
+   */
+  resize(length) {
+    if(!(Number.isInteger(length) && length >= this.length)) {
+      throw new TypeError(
+        `"length" must be an integer of at least ${this.length}.`);
+    }
+    return this._copy({length});
   }
 
-  async encode() {
-    return this.bitstring.encodeBits();
+  /**
+   * Merges the list with another list of the same length and status size
+   * bit by bit.
+   *
+   * @param {StatusList} list - The other list.
+   * @param {string} [operation='or'] - The operation, one of "or", "and" or
+   *   "xor".
+   *
+   * @returns {StatusList} The new, merged list.
+   */
+  merge(list, operation = 'or') {
+    if(!(list instanceof StatusList)) {
+      throw new TypeError('"list" must be a "StatusList".');
+    }
+    if(!(list.length === this.length && list.statusSize === this.statusSize)) {
+      throw new Error(
+        'Lists must have the same length and status size to be merged.');
+    }
+    const fn = MERGE_OPERATIONS[operation];
+    if(!fn) {
+      throw new TypeError(
+        `"operation" must be one of ${Object.keys(MERGE_OPERATIONS)
+          .join(', ')}.`);
+    }
+    const merged = this._copy({length: this.length});
+    const {bits} = merged.bitstring;
+    const {bits: other} = list.bitstring;
+    for(let i = 0; i < bits.length; ++i) {
+      bits[i] = fn(bits[i], other[i]);
+    }
+    return merged;
+  }
+
+  /**
+   * Encodes the list as a GZIP compressed, base64url encoded bitstring.
+   *
+   * @param {object} [options] - Options to use.
+   * @param {boolean} [options.leftToRightIndexing=false] - Whether to encode
+   *   the list in the bit order of the Bitstring Status List spec, where
+   *   index 0 is the left-most bit and each status is read left to right.
+   *
+   * @returns {Promise<string>} The encoded list.
+   */
+  async encode({leftToRightIndexing = false} = {}) {
+    if(!leftToRightIndexing) {
+      return this.bitstring.encodeBits();
+    }
+    const buffer = _reorderBits({
+      bits: this.bitstring.bits, statusSize: this.statusSize,
+      toLeftToRight: true
+    });
+    return new Bitstring({buffer}).encodeBits();
   }
 
-  static async decode({encodedList}) {
+  /**
+   * Decodes a GZIP compressed, base64url encoded bitstring.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.encodedList - The encoded list.
+   * @param {number} [options.statusSize=1] - The number of bits per entry.
+   * @param {boolean} [options.leftToRightIndexing=false] - Whether the list
+   *   is encoded in the bit order of the Bitstring Status List spec.
+   *
+   * @returns {Promise<StatusList>} The decoded list.
+   */
+  static async decode({encodedList, statusSize, leftToRightIndexing = false}) {
     try {
-      const buffer = await Bitstring.decodeBits({encoded: encodedList});
-      return new StatusList({buffer});
+      let buffer = await Bitstring.decodeBits({encoded: encodedList});
+      if(leftToRightIndexing) {
+        buffer = _reorderBits(
+          {bits: buffer, statusSize, toLeftToRight: false});
+      }
+      return new StatusList({buffer, statusSize});
     } catch(e) {
       if(e instanceof Error) {
         throw e;
@@ -36,4 +289,196 @@ export class StatusList {
         `Could not decode encoded status list; reason: ${e}`);
     }
   }
+
+  /**
+   * Encodes the list as the `lst` value of an IETF Token Status List in JWT
+   * format. The value is the base64url encoded, ZLIB compressed bytes of the
+   * list.
+   *
+   * @returns {Promise<string>} The encoded list.
+   */
+  async encodeTokenList() {
+    return base64url.encode(await this.compressTokenList());
+  }
+
+  /**
+   * Compresses the list with ZLIB as the `lst` value of an IETF Token Status
+   * List in CWT format.
+   *
+   * @returns {Promise<Uint8Array>} The compressed list.
+   */
+  async compressTokenList() {
+    if(!TOKEN_LIST_BITS.includes(this.statusSize)) {
+      throw new Error(
+        `"statusSize" must be one of ${TOKEN_LIST_BITS.join(', ')} ` +
+        'for a token status list.');
+    }
+    return deflate(this.bitstring.bits, {level: 9});
+  }
+
+  /**
+   * Decodes the `lst` value of an IETF Token Status List.
+   *
+   * @param {object} options - Options to use.
+   * @param {string|Uint8Array} options.lst - The ZLIB compressed list, either
+   *   base64url encoded (JWT) or as bytes (CWT).
+   * @param {number} options.bits - The number of bits per entry.
+   *
+   * @returns {Promise<StatusList>} The decoded list.
+   */
+  static async decodeTokenList({lst, bits}) {
+    if(!TOKEN_LIST_BITS.includes(bits)) {
+      throw new TypeError(
+        `"bits" must be one of ${TOKEN_LIST_BITS.join(', ')}.`);
+    }
+    if(!(typeof lst === 'string' || lst instanceof Uint8Array)) {
+      throw new TypeError('"lst" must be a string or a Uint8Array.');
+    }
+    let buffer;
+    try {
+      buffer = inflate(typeof lst === 'string' ? base64url.decode(lst) : lst);
+    } catch(e) {
+      throw new Error(
+        `Could not decode encoded status list; reason: ${e.message || e}`);
+    }
+    if(!(buffer && buffer.length > 0)) {
+      throw new Error(
+        'Could not decode encoded status list; reason: list is empty.');
+    }
+    return new StatusList({buffer, statusSize: bits});
+  }
+
+  /**
+   * Encodes the list as the CBOR `status_list` map of an IETF Token Status
+   * List in CWT format.
+   *
+   * @param {object} [options] - Options to use.
+   * @param {string} [options.aggregationUri] - The URI to retrieve all
+   *   status lists of the issuer from.
+   *
+   * @returns {Promise<Uint8Array>} The CBOR encoded `status_list` map.
+   */
+  async encodeCbor({aggregationUri} = {}) {
+    return cborg.encode(await this.toTokenStatusList({aggregationUri}));
+  }
+
+  /**
+   * Decodes the CBOR `status_list` map of an IETF Token Status List in CWT
+   * format.
+   *
+   * @param {object} options - Options to use.
+   * @param {Uint8Array} options.cbor - The CBOR encoded `status_list` map.
+   *
+   * @returns {Promise<StatusList>} The decoded list.
+   */
+  static async decodeCbor({cbor}) {
+    if(!(cbor instanceof Uint8Array)) {
+      throw new TypeError('"cbor" must be a Uint8Array.');
+    }
+    let statusList;
+    try {
+      statusList = cborg.decode(cbor);
+    } catch(e) {
+      throw new Error(
+        `Could not decode CBOR status list; reason: ${e.message}`);
+    }
+    return StatusList.decodeTokenList(statusList);
+  }
+
+  /**
+   * Gets the `status_list` map of an IETF Token Status List in CWT format.
+   *
+   * @param {object} [options] - Options to use.
+   * @param {string} [options.aggregationUri] - The URI to retrieve all
+   *   status lists of the issuer from.
+   *
+   * @returns {Promise<object>} The `status_list` map.
+   */
+  async toTokenStatusList({aggregationUri} = {}) {
+    const statusList = {
+      bits: this.statusSize,
+      lst: await this.compressTokenList()
+    };
+    if(aggregationUri !== undefined) {
+      statusList.aggregation_uri = aggregationUri;
+    }
+    return statusList;
+  }
+
+  _copy({length}) {
+    const list = new StatusList({length, statusSize: this.statusSize});
+    const {bits} = list.bitstring;
+    // only copy whole entries
+    const end = this.length * this.statusSize;
+    bits.set(this.bitstring.bits.subarray(0, end >>> 3));
+    for(let position = end & ~7; position < end; ++position) {
+      if(this.bitstring.get(position)) {
+        list.bitstring.set(position, true);
+      }
+    }
+    return list;
+  }
+
+  _assertStatus(status) {
+    if(this.statusSize === 1) {
+      if(typeof status !== 'boolean') {
+        throw new TypeError('"status" must be a boolean.');
+      }
+      return;
+    }
+    const max = 2 ** this.statusSize - 1;
+    if(!(Number.isInteger(status) && status >= 0 && status <= max)) {
+      throw new TypeError(
+        `"status" must be an integer between 0 and ${max}.`);
+    }
+  }
+
+  _forEachSet(fn) {
+    const {bits} = this.bitstring;
+    // entries that do not straddle bytes can skip zero bytes
+    const perByte = 8 % this.statusSize === 0 ? 8 / this.statusSize : 0;
+    for(let index = 0; index < this.length; ++index) {
+      if(perByte && index % perByte === 0 &&
+        bits[index / perByte] === 0) {
+        index += perByte - 1;
+        continue;
+      }
+      if(this.getStatus(index)) {
+        fn(index);
+      }
+    }
+  }
+
+  _getPosition(index) {
+    if(!(Number.isInteger(index) && index >= 0)) {
+      throw new TypeError('"index" must be a non-negative integer.');
+    }
+    if(index >= this.length) {
+      throw new Error(
+        `Position "${index}" is out of range "0-${this.length - 1}".`);
+    }
+    return index * this.statusSize;
+  }
+}
+
+// converts bits between the order of the lists, where the bits of each
+// status are stored least significant bit first from the lowest bit of each
+// byte, and the left-to-right order of the Bitstring Status List spec, where
+// index 0 is the highest bit of the first byte and each status is read most
+// significant bit first
+function _reorderBits({bits, statusSize = 1, toLeftToRight}) {
+  const reordered = new Uint8Array(bits.length);
+  const end = bits.length * 8 - (bits.length * 8) % statusSize;
+  for(let position = 0; position < end; ++position) {
+    // the bit at `offset` of a status moves to the mirrored offset
+    const offset = position % statusSize;
+    const target = position - offset + statusSize - 1 - offset;
+    const [from, fromMask, to, toMask] = toLeftToRight ?
+      [position, 1 << (position & 7), target, 0x80 >>> (target & 7)] :
+      [target, 0x80 >>> (target & 7), position, 1 << (position & 7)];
+    if((bits[from >>> 3] & fromMask) !== 0) {
+      reordered[to >>> 3] |= toMask;
+    }
+  }
+  return reordered;
 }
@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {STATUS_LIST_BUNDLE_TYPE} from './statusListCredential.js';
+import {verifyCredential as vcVerifyCredential} from '@digitalcredentials/vc';
+
+/**
+ * A verified bundle of status list credentials, created with
+ * `createStatusListBundle`, to check statuses without loading the status
+ * list credentials; pass it to `checkStatus` as `bundle`. Use
+ * `StatusListBundle.verify` to get one and check its `issuer` before
+ * trusting its `snapshotDate`.
+ */
+export class StatusListBundle {
+  /**
+   * @param {object} options - Options to use.
+   * @param {object} options.credential - The verified
+   *   `StatusListBundleCredential`.
+   */
+  constructor({credential} = {}) {
+    const {credentialSubject} = credential || {};
+    const snapshotDate = new Date(
+      credentialSubject && credentialSubject.snapshotDate);
+    if(!(credential && Array.isArray(credential.type) &&
+      credential.type.includes(STATUS_LIST_BUNDLE_TYPE) &&
+      Array.isArray(credentialSubject.statusListCredentials) &&
+      !isNaN(snapshotDate))) {
+      throw new TypeError(
+        `"credential" must be a "${STATUS_LIST_BUNDLE_TYPE}".`);
+    }
+    this.credential = credential;
+    this.issuer = typeof credential.issuer === 'object' ?
+      credential.issuer.id : credential.issuer;
+    this.snapshotDate = snapshotDate;
+    // status list credential id => status list credential
+    this._credentials = new Map(credentialSubject.statusListCredentials.map(
+      slCredential => [slCredential.id, slCredential]));
+  }
+
+  /**
+   * Gets a bundled status list credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.url - The URL of the status list credential.
+   *
+   * @returns {object|undefined} The status list credential, if bundled.
+   */
+  get({url}) {
+    return this._credentials.get(url);
+  }
+
+  /**
+   * Verifies the signature and validity period of a bundle.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.bundle - The `StatusListBundleCredential`.
+   * @param {object|Array<object>} options.suite - The suite(s) to verify the
+   *   bundle with.
+   * @param {Function} options.documentLoader - A document loader; it must
+   *   resolve the contexts and the verification method of the bundle
+   *   without connectivity.
+   * @param {Date} [options.now=new Date()] - The date to verify the bundle
+   *   at.
+   *
+   * @returns {Promise<StatusListBundle>} The verified bundle.
+   */
+  static async verify({bundle, suite, documentLoader, now = new Date()}) {
+    // ensure the bundle is well-formed before verifying it
+    const verified = new StatusListBundle({credential: bundle});
+    const result = await vcVerifyCredential(
+      {credential: bundle, suite, documentLoader, now});
+    if(!result.verified) {
+      const {error: e} = result;
+      const err = new Error(
+        `"${STATUS_LIST_BUNDLE_TYPE}" not verified` +
+        (e ? `; reason: ${e.message}` : '.'));
+      if(e) {
+        err.cause = e;
+      }
+      throw err;
+    }
+    return verified;
+  }
+}
@@ -0,0 +1,224 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+// 5 minutes
+const DEFAULT_MAX_AGE = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Caches loaded (and, if requested, verified) status list credentials and
+ * their decoded lists by URL. Pass an instance to `checkStatus` as `cache`.
+ *
+ * Verified entries are only reused with the same `suite` and
+ * `documentLoader` instances they were verified with, so that a list
+ * verified under one trust configuration is not trusted under another;
+ * reuse these instances across calls to benefit from the cache.
+ *
+ * An entry expires at the earliest of `maxAge` after it was loaded, the
+ * `ttl` of the status list (in milliseconds) after it was loaded and the
+ * `validUntil`/`expirationDate` of the status list credential. Concurrent
+ * loads of the same URL are merged into one; failed loads are not cached.
+ *
+ * The last successfully loaded entry of each URL is kept after it expired
+ * as a fallback for when the status list credential cannot be loaded; see
+ * the `maxFallbackAge` option of `checkStatus`.
+ *
+ * The cache holds at most `maxEntries` entries and `maxEntries` fallback
+ * entries: expired entries are removed whenever a status list credential is
+ * loaded and, beyond the bound, the least recently loaded ones are evicted.
+ */
+export class StatusListCache {
+  /**
+   * @param {object} [options] - Options to use.
+   * @param {number} [options.maxAge=300000] - The maximum time, in
+   *   milliseconds, to keep an entry.
+   * @param {number} [options.maxEntries=1000] - The maximum number of
+   *   entries, and of fallback entries, to keep.
+   * @param {Function} [options.now] - A clock that returns the current Date.
+   */
+  constructor({
+    maxAge = DEFAULT_MAX_AGE, maxEntries = DEFAULT_MAX_ENTRIES,
+    now = () => new Date()
+  } = {}) {
+    if(!(Number.isFinite(maxAge) && maxAge >= 0)) {
+      throw new TypeError('"maxAge" must be a non-negative number.');
+    }
+    if(!(Number.isInteger(maxEntries) && maxEntries > 0)) {
+      throw new TypeError('"maxEntries" must be a positive integer.');
+    }
+    if(typeof now !== 'function') {
+      throw new TypeError('"now" must be a function.');
+    }
+    this.maxAge = maxAge;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this._entries = new Map();
+    // the last successfully loaded entry and its load date by key
+    this._lastGood = new Map();
+    // ids of the verifier objects used in keys
+    this._verifierIds = new WeakMap();
+    this._nextVerifierId = 0;
+  }
+
+  /**
+   * Gets the cached entry for a status list credential, loading it if it is
+   * not cached or has expired.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.url - The URL of the status list credential.
+   * @param {boolean} options.verified - Whether the status list credential
+   *   must have been verified; verified and unverified entries are kept
+   *   apart.
+   * @param {object} [options.verifier] - The `suite` and `documentLoader`
+   *   the status list credential is verified with; verified entries are
+   *   kept apart by verifier.
+   * @param {Function} options.load - A function that loads (and verifies)
+   *   the status list credential and resolves to
+   *   `{slCredential, listVerified}`.
+   *
+   * @returns {Promise<object>} The entry with `slCredential`,
+   *   `listVerified` and `lists`, a map of decoded list promises keyed by
+   *   status size.
+   */
+  async get({url, verified, verifier, load}) {
+    const key = this._getKey({url, verified, verifier});
+    const cached = this._entries.get(key);
+    if(cached && !(cached.expires <= this.now())) {
+      return cached.promise;
+    }
+    this._removeExpired();
+    const record = {
+      url,
+      // unknown until loaded; concurrent calls share the pending promise
+      expires: undefined,
+      promise: undefined
+    };
+    record.promise = (async () => {
+      const {slCredential, listVerified} = await load();
+      record.expires = this._getExpires({slCredential});
+      const entry = {slCredential, listVerified, lists: new Map()};
+      this._set({
+        map: this._lastGood, key, value: {url, entry, loaded: this.now()}
+      });
+      return entry;
+    })();
+    this._set({map: this._entries, key, value: record});
+    try {
+      return await record.promise;
+    } catch(e) {
+      // do not cache failures
+      if(this._entries.get(key) === record) {
+        this._entries.delete(key);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Gets the last successfully loaded entry for a status list credential,
+   * even if it has expired, to fall back on when it cannot be loaded.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.url - The URL of the status list credential.
+   * @param {boolean} options.verified - Whether the status list credential
+   *   must have been verified.
+   * @param {object} [options.verifier] - The `suite` and `documentLoader`
+   *   the status list credential is verified with.
+   * @param {number} options.maxAge - The maximum time, in milliseconds,
+   *   since the entry was loaded.
+   *
+   * @returns {object|undefined} The entry, if any, with its `loaded` date.
+   */
+  getFallback({url, verified, verifier, maxAge}) {
+    const key = this._getKey({url, verified, verifier});
+    const lastGood = this._lastGood.get(key);
+    if(!lastGood || this.now() - lastGood.loaded > maxAge) {
+      return;
+    }
+    return {...lastGood.entry, loaded: lastGood.loaded};
+  }
+
+  /**
+   * Removes the entries for a status list credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.url - The URL of the status list credential.
+   */
+  delete({url}) {
+    for(const map of [this._entries, this._lastGood]) {
+      for(const [key, value] of map) {
+        if(value.url === url) {
+          map.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this._entries.clear();
+    this._lastGood.clear();
+  }
+
+  _removeExpired() {
+    const now = this.now();
+    for(const [key, {expires}] of this._entries) {
+      // pending loads have no expiry yet
+      if(expires <= now) {
+        this._entries.delete(key);
+      }
+    }
+  }
+
+  // sets a value, evicting the least recently set values beyond `maxEntries`
+  _set({map, key, value}) {
+    map.delete(key);
+    map.set(key, value);
+    for(const oldest of map.keys()) {
+      if(map.size <= this.maxEntries) {
+        break;
+      }
+      map.delete(oldest);
+    }
+  }
+
+  _getKey({url, verified, verifier = {}}) {
+    if(!verified) {
+      return JSON.stringify(['unverified', url]);
+    }
+    const {suite, documentLoader} = verifier;
+    const ids = [...[].concat(suite), documentLoader].map(
+      value => this._getVerifierId(value));
+    return JSON.stringify(['verified', ids, url]);
+  }
+
+  _getVerifierId(value) {
+    if(!(value && ['object', 'function'].includes(typeof value))) {
+      return null;
+    }
+    let id = this._verifierIds.get(value);
+    if(id === undefined) {
+      id = this._nextVerifierId++;
+      this._verifierIds.set(value, id);
+    }
+    return id;
+  }
+
+  _getExpires({slCredential}) {
+    const now = this.now().getTime();
+    const candidates = [now + this.maxAge];
+    const {ttl} = slCredential.credentialSubject || {};
+    if(Number.isFinite(ttl) && ttl >= 0) {
+      candidates.push(now + ttl);
+    }
+    for(const property of ['validUntil', 'expirationDate']) {
+      const date = new Date(slCredential[property]);
+      if(slCredential[property] !== undefined && !isNaN(date)) {
+        candidates.push(date.getTime());
+      }
+    }
+    return new Date(Math.min(...candidates));
+  }
+}
@@ -0,0 +1,103 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from '@digitalcredentials/base64url-universal';
+import {MULTIBASE_BASE64URL_HEADER} from './statusListCredential.js';
+import {sha256} from './crypto.js';
+
+/**
+ * An append-only hash chain of the published versions of a status list.
+ * Each link commits to an encoded list and to the digest of the previous
+ * link:
+ *
+ * `digest = base64url(SHA-256(JSON.stringify(
+ *   [sequence, previousDigest, encodedList])))`, multibase encoded.
+ *
+ * The head link is published as the `statusListChain` of the
+ * `credentialSubject` of the status list credential so that verifiers can
+ * detect a list that was rolled back or that differs from the one served to
+ * others; see `StatusListChainTracker`.
+ */
+export class StatusListChain {
+  /**
+   * @param {object} [options] - Options to use.
+   * @param {Array<object>} [options.links=[]] - Previously appended links,
+   *   in order; only the last one is needed to continue a chain.
+   */
+  constructor({links = []} = {}) {
+    if(!(Array.isArray(links) && links.every(_isLink))) {
+      throw new TypeError('"links" must be an array of chain links.');
+    }
+    this.links = links.map(link => ({...link}));
+  }
+
+  /**
+   * The latest link, if any.
+   *
+   * @returns {object|undefined} The link.
+   */
+  get head() {
+    return this.links[this.links.length - 1];
+  }
+
+  /**
+   * Appends a version of a list unless it is the version of the head link.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.encodedList - The `encodedList` of the version,
+   *   as published in the status list credential.
+   *
+   * @returns {Promise<object>} The link of the version:
+   *   `{sequence, previousDigest, digest}`.
+   */
+  async append({encodedList}) {
+    if(typeof encodedList !== 'string') {
+      throw new TypeError('"encodedList" must be a string.');
+    }
+    const {head} = this;
+    if(head && await verifyChainLink({link: head, encodedList})) {
+      return {...head};
+    }
+    const link = head ?
+      {sequence: head.sequence + 1, previousDigest: head.digest} :
+      {sequence: 0};
+    link.digest = await _digest({...link, encodedList});
+    this.links.push(link);
+    return {...link};
+  }
+}
+
+/**
+ * Checks that a chain link commits to an encoded list.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.link - The link.
+ * @param {string} options.encodedList - The encoded list.
+ *
+ * @returns {Promise<boolean>} `true` if the link commits to the list.
+ */
+export async function verifyChainLink({link, encodedList}) {
+  if(!(_isLink(link) && typeof encodedList === 'string')) {
+    return false;
+  }
+  return link.digest === await _digest({...link, encodedList});
+}
+
+async function _digest({sequence, previousDigest = null, encodedList}) {
+  const bytes = new TextEncoder().encode(
+    JSON.stringify([sequence, previousDigest, encodedList]));
+  const digest = await sha256(bytes);
+  return `${MULTIBASE_BASE64URL_HEADER}${base64url.encode(digest)}`;
+}
+
+function _isLink(link) {
+  if(!(link && typeof link === 'object' &&
+    Number.isInteger(link.sequence) && link.sequence >= 0 &&
+    typeof link.digest === 'string')) {
+    return false;
+  }
+  // only the first link has no previous link
+  return link.sequence === 0 ?
+    link.previousDigest === undefined :
+    typeof link.previousDigest === 'string';
+}
@@ -0,0 +1,74 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {verifyChainLink} from './StatusListChain.js';
+
+/**
+ * Remembers the last `statusListChain` link a verifier saw for each status
+ * list credential to reject a list that was rolled back to an earlier
+ * version or that is inconsistent with the version seen before, for example
+ * because the issuer serves different versions to different verifiers.
+ *
+ * A link with the same sequence as the last one seen must be the same link
+ * and the link that follows it must point to its digest. When versions were
+ * skipped, the links in between are unknown and only the sequence is
+ * checked.
+ *
+ * The `seen` links (a map of status list credential id to link) can be
+ * stored and passed to the constructor to keep them across restarts.
+ */
+export class StatusListChainTracker {
+  /**
+   * @param {object} [options] - Options to use.
+   * @param {object} [options.seen={}] - The links seen before by status
+   *   list credential id.
+   */
+  constructor({seen = {}} = {}) {
+    if(!(seen && typeof seen === 'object' && !Array.isArray(seen))) {
+      throw new TypeError('"seen" must be an object.');
+    }
+    this.seen = {...seen};
+  }
+
+  /**
+   * Checks the `statusListChain` of a status list credential against the
+   * last link seen for it and remembers it.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.credential - The status list credential.
+   *
+   * @throws {Error} If the credential has no valid link, or if its list is
+   *   older than or inconsistent with the last version seen.
+   */
+  async check({credential}) {
+    const {id, credentialSubject: {encodedList, statusListChain: link} = {}} =
+      credential;
+    if(link === undefined) {
+      throw new Error(
+        `Status list credential "${id}" has no "statusListChain".`);
+    }
+    if(!await verifyChainLink({link, encodedList})) {
+      throw new Error(
+        `The "statusListChain" of status list credential "${id}" does not ` +
+        'match its list.');
+    }
+    const last = this.seen[id];
+    if(last) {
+      if(link.sequence < last.sequence) {
+        throw new Error(
+          `Status list credential "${id}" was rolled back from version ` +
+          `${last.sequence} to version ${link.sequence}.`);
+      }
+      if((link.sequence === last.sequence && link.digest !== last.digest) ||
+        (link.sequence === last.sequence + 1 &&
+          link.previousDigest !== last.digest)) {
+        throw new Error(
+          `Version ${link.sequence} of status list credential "${id}" is ` +
+          'inconsistent with the versions seen before.');
+      }
+    }
+    const {sequence, previousDigest, digest} = link;
+    this.seen[id] = previousDigest === undefined ?
+      {sequence, digest} : {sequence, previousDigest, digest};
+  }
+}
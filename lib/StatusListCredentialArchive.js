@@ -0,0 +1,76 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Keeps the published versions of status list credentials by URL to select
+ * the version that was current at a date. A version is current from its
+ * `validFrom` (or `issuanceDate`) until the next version of the same
+ * credential.
+ */
+export class StatusListCredentialArchive {
+  constructor() {
+    // status list credential id => versions sorted by date
+    this._versions = new Map();
+  }
+
+  /**
+   * Adds a published version of a status list credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.credential - The status list credential; it
+   *   must have an `id` and a `validFrom` or `issuanceDate`.
+   */
+  add({credential}) {
+    if(!(credential && typeof credential === 'object' &&
+      credential.id && typeof credential.id === 'string')) {
+      throw new TypeError('"credential" must be an object with an "id".');
+    }
+    const date = new Date(credential.validFrom || credential.issuanceDate);
+    if(isNaN(date)) {
+      throw new TypeError(
+        '"credential" must have a valid "validFrom" or "issuanceDate".');
+    }
+    let versions = this._versions.get(credential.id);
+    if(!versions) {
+      versions = [];
+      this._versions.set(credential.id, versions);
+    }
+    versions.push({date, credential});
+    versions.sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Whether any version of a status list credential was added.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.url - The URL of the status list credential.
+   *
+   * @returns {boolean} `true` if a version was added.
+   */
+  has({url}) {
+    return this._versions.has(url);
+  }
+
+  /**
+   * Gets the version of a status list credential that was current at a
+   * date.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.url - The URL of the status list credential.
+   * @param {Date} options.date - The date.
+   *
+   * @returns {object|undefined} The status list credential, if any.
+   */
+  get({url, date}) {
+    const versions = this._versions.get(url) || [];
+    let current;
+    for(const version of versions) {
+      if(version.date > date) {
+        break;
+      }
+      current = version;
+    }
+    return current && current.credential;
+  }
+}
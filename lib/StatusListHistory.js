@@ -0,0 +1,112 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {StatusList} from './StatusList.js';
+
+/**
+ * Records timestamped snapshots of a status list to answer what the status
+ * of an entry was at a past moment. A snapshot is only recorded when the
+ * list changed since the previous one.
+ *
+ * The `snapshots` (`{date, encodedList, statusSize}` objects in
+ * chronological order) can be stored and passed to the constructor to
+ * restore a history.
+ */
+export class StatusListHistory {
+  /**
+   * @param {object} [options] - Options to use.
+   * @param {Array<object>} [options.snapshots=[]] - Previously recorded
+   *   snapshots.
+   * @param {Function} [options.now] - A clock that returns the current Date.
+   */
+  constructor({snapshots = [], now = () => new Date()} = {}) {
+    if(!Array.isArray(snapshots)) {
+      throw new TypeError('"snapshots" must be an array.');
+    }
+    if(typeof now !== 'function') {
+      throw new TypeError('"now" must be a function.');
+    }
+    this.snapshots = snapshots.map(s => ({...s}));
+    this.now = now;
+  }
+
+  /**
+   * Records a snapshot of a list if it changed since the last snapshot.
+   *
+   * @param {object} options - Options to use.
+   * @param {StatusList} options.list - The list.
+   * @param {Date} [options.date] - The date of the change; defaults to now.
+   *
+   * @returns {Promise<boolean>} Whether a snapshot was recorded.
+   */
+  async record({list, date = this.now()}) {
+    if(!(list instanceof StatusList)) {
+      throw new TypeError('"list" must be a "StatusList".');
+    }
+    _assertDate({date});
+    const last = this.snapshots[this.snapshots.length - 1];
+    if(last && date < new Date(last.date)) {
+      throw new Error(
+        `Snapshot date "${date.toISOString()}" is before the last ` +
+        `snapshot date "${last.date}".`);
+    }
+    const encodedList = await list.encode();
+    if(last && last.encodedList === encodedList &&
+      last.statusSize === list.statusSize) {
+      return false;
+    }
+    this.snapshots.push(
+      {date: date.toISOString(), encodedList, statusSize: list.statusSize});
+    return true;
+  }
+
+  /**
+   * Gets the list as it was at a date.
+   *
+   * @param {object} options - Options to use.
+   * @param {Date} options.date - The date.
+   *
+   * @returns {Promise<StatusList|undefined>} The list or `undefined` if no
+   *   snapshot was recorded by then.
+   */
+  async getList({date}) {
+    _assertDate({date});
+    // the latest snapshot at or before `date`
+    let snapshot;
+    for(const s of this.snapshots) {
+      if(new Date(s.date) > date) {
+        break;
+      }
+      snapshot = s;
+    }
+    if(!snapshot) {
+      return;
+    }
+    const {encodedList, statusSize} = snapshot;
+    return StatusList.decode({encodedList, statusSize});
+  }
+
+  /**
+   * Gets the status of an entry at a date.
+   *
+   * @param {object} options - Options to use.
+   * @param {number} options.index - The index of the entry.
+   * @param {Date} options.date - The date.
+   *
+   * @returns {Promise<boolean|number>} The status.
+   */
+  async getStatus({index, date}) {
+    const list = await this.getList({date});
+    if(!list) {
+      throw new Error(
+        `No status list snapshot exists at "${date.toISOString()}".`);
+    }
+    return list.getStatus(index);
+  }
+}
+
+function _assertDate({date}) {
+  if(!(date instanceof Date && !isNaN(date))) {
+    throw new TypeError('"date" must be a valid Date.');
+  }
+}
@@ -0,0 +1,354 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createCredential, issueStatusListCredential, STATUS_LIST_TYPES
+} from './statusListCredential.js';
+import {IndexAllocator} from './IndexAllocator.js';
+import {MemoryStatusListStorage} from './MemoryStatusListStorage.js';
+import {StatusListChain} from './StatusListChain.js';
+import {StatusList} from './StatusList.js';
+
+// the minimum list length recommended by the Bitstring Status List spec (16KB)
+const DEFAULT_LIST_LENGTH = 131072;
+
+/**
+ * Manages the status lists of an issuer. Allocates an index for each issued
+ * credential and status purpose, builds its `credentialStatus` entry, opens
+ * a new status list when the current list for a status purpose is full and
+ * updates the status of issued credentials. The lists and index assignments
+ * are kept in a storage adapter.
+ *
+ * With `chain: true`, each published version of a list is appended to the
+ * list's `StatusListChain`, whose head link is kept with the list.
+ */
+export class StatusListManager {
+  /**
+   * @param {object} options - Options to use.
+   * @param {string} options.baseUrl - The URL under which the status list
+   *   credentials are published; the id of each list is
+   *   `<baseUrl>/<sequence>`.
+   * @param {number} [options.length=131072] - The number of entries in each
+   *   list.
+   * @param {string} [options.type='StatusList2021Credential'] - The type of
+   *   status list credentials to create, either "StatusList2021Credential"
+   *   or "BitstringStatusListCredential".
+   * @param {object} [options.storage] - The storage adapter for the lists
+   *   and index assignments; defaults to a `MemoryStatusListStorage`.
+   * @param {string} [options.allocation='sequential'] - How indexes are
+   *   allocated, either "sequential" or "random"; see `IndexAllocator`.
+   * @param {boolean} [options.chain=false] - Whether to commit each
+   *   published list version to a `StatusListChain` and publish its head
+   *   link as the `statusListChain` of the status list credentials.
+   */
+  constructor({
+    baseUrl, length = DEFAULT_LIST_LENGTH, type = 'StatusList2021Credential',
+    storage = new MemoryStatusListStorage(), allocation = 'sequential',
+    chain = false
+  } = {}) {
+    if(!(baseUrl && typeof baseUrl === 'string')) {
+      throw new TypeError('"baseUrl" must be a string.');
+    }
+    if(!(Number.isInteger(length) && length > 0)) {
+      throw new TypeError('"length" must be a positive integer.');
+    }
+    const rules = STATUS_LIST_TYPES.find(r => r.credentialType === type);
+    if(!rules) {
+      throw new TypeError(
+        '"type" must be one of ' +
+        `${STATUS_LIST_TYPES.map(r => `"${r.credentialType}"`).join(', ')}.`);
+    }
+    if(!(storage && typeof storage.putList === 'function')) {
+      throw new TypeError('"storage" must be a status list storage adapter.');
+    }
+    if(!['sequential', 'random'].includes(allocation)) {
+      throw new TypeError('"allocation" must be "sequential" or "random".');
+    }
+    if(typeof chain !== 'boolean') {
+      throw new TypeError('"chain" must be a boolean.');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.length = length;
+    this.type = type;
+    this.storage = storage;
+    this.allocation = allocation;
+    this.chain = chain;
+    this._rules = rules;
+    // status purpose => id of the list new indexes are allocated from
+    this._activeLists = new Map();
+    // operations run one at a time so that indexes are not handed out twice
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Allocates a free index for a credential and status purpose, opening a
+   * new list if the current one is exhausted. An index is never allocated
+   * twice.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   * @param {string} [options.statusPurpose='revocation'] - The status
+   *   purpose of the entry.
+   *
+   * @returns {Promise<object>} The `credentialStatus` entry to embed in the
+   *   credential.
+   */
+  async allocate({credentialId, statusPurpose = 'revocation'} = {}) {
+    if(!(credentialId && typeof credentialId === 'string')) {
+      throw new TypeError('"credentialId" must be a string.');
+    }
+    if(!(statusPurpose && typeof statusPurpose === 'string')) {
+      throw new TypeError('"statusPurpose" must be a string.');
+    }
+    return this._exclusive(async () => {
+      if(await this.storage.getAssignment({credentialId, statusPurpose})) {
+        throw new Error(
+          `Credential "${credentialId}" already has a "${statusPurpose}" ` +
+          'status entry.');
+      }
+      let list = await this._getActiveList({statusPurpose});
+      let allocator = list && await this._getAllocator({list});
+      if(!allocator || allocator.exhausted) {
+        list = await this._openList({statusPurpose});
+        allocator = await this._getAllocator({list});
+      }
+      const statusListIndex = allocator.allocate();
+      await this.storage.putList({
+        list: {
+          ...list,
+          allocated: allocator.count,
+          allocatedList: await allocator.encode(),
+          version: list.version + 1
+        }
+      });
+      const credentialStatus = {
+        id: `${list.id}#${statusListIndex}`,
+        type: this._rules.entryType,
+        statusPurpose,
+        [this._rules.indexProperty]: `${statusListIndex}`,
+        [this._rules.credentialProperty]: list.id
+      };
+      await this.storage.putAssignment(
+        {credentialId, statusPurpose, credentialStatus});
+      return credentialStatus;
+    });
+  }
+
+  /**
+   * Gets the `credentialStatus` entry allocated to a credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   * @param {string} [options.statusPurpose='revocation'] - The status
+   *   purpose of the entry.
+   *
+   * @returns {Promise<object|undefined>} The entry, if any.
+   */
+  async getCredentialStatus({credentialId, statusPurpose = 'revocation'}) {
+    return this.storage.getAssignment({credentialId, statusPurpose});
+  }
+
+  /**
+   * Sets the status of a credential for a status purpose.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   * @param {string} options.statusPurpose - The status purpose of the entry.
+   * @param {boolean} options.status - The status to set.
+   *
+   * @returns {Promise<object>} The updated `credentialStatus` entry.
+   */
+  async setStatus({credentialId, statusPurpose, status}) {
+    return this._exclusive(async () => {
+      const credentialStatus = await this.getCredentialStatus(
+        {credentialId, statusPurpose});
+      if(!credentialStatus) {
+        throw new Error(
+          `Credential "${credentialId}" has no "${statusPurpose}" status ` +
+          'entry.');
+      }
+      const {indexProperty, credentialProperty} = this._rules;
+      const list = await this.storage.getList(
+        {id: credentialStatus[credentialProperty]});
+      const statusList = await _decode({list});
+      statusList.setStatus(
+        parseInt(credentialStatus[indexProperty], 10), status);
+      await this.storage.putList({
+        list: {
+          ...list,
+          encodedList: await statusList.encode(),
+          version: list.version + 1
+        }
+      });
+      return credentialStatus;
+    });
+  }
+
+  /**
+   * Revokes a credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   *
+   * @returns {Promise<object>} The updated `credentialStatus` entry.
+   */
+  async revoke({credentialId}) {
+    return this.setStatus(
+      {credentialId, statusPurpose: 'revocation', status: true});
+  }
+
+  /**
+   * Suspends a credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   *
+   * @returns {Promise<object>} The updated `credentialStatus` entry.
+   */
+  async suspend({credentialId}) {
+    return this.setStatus(
+      {credentialId, statusPurpose: 'suspension', status: true});
+  }
+
+  /**
+   * Lifts the suspension of a credential.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.credentialId - The id of the credential.
+   *
+   * @returns {Promise<object>} The updated `credentialStatus` entry.
+   */
+  async unsuspend({credentialId}) {
+    return this.setStatus(
+      {credentialId, statusPurpose: 'suspension', status: false});
+  }
+
+  /**
+   * Gets the ids of all lists, in the order they were opened.
+   *
+   * @returns {Promise<Array<string>>} The list ids.
+   */
+  async getListIds() {
+    return this.storage.getListIds();
+  }
+
+  /**
+   * Creates the (unsigned) status list credential for a list with its
+   * current statuses.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.id - The id of the list.
+   *
+   * @returns {Promise<object>} The status list credential.
+   */
+  async createStatusListCredential({id}) {
+    return this._publish({
+      id,
+      create: ({list, statusPurpose, chain}) => createCredential(
+        {id, list, statusPurpose, type: this.type, chain})
+    });
+  }
+
+  /**
+   * Issues the signed status list credential for a list with its current
+   * statuses; call it after changing statuses to publish them.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.id - The id of the list.
+   * @param {string|object} options.issuer - The issuer of the credential.
+   * @param {object} options.suite - The suite, with a signing key, to sign
+   *   the credential with.
+   * @param {Function} options.documentLoader - A document loader.
+   * @param {Date|string} [options.validUntil] - The `expirationDate` of the
+   *   credential.
+   * @param {Date} [options.now=new Date()] - The issuance date.
+   *
+   * @returns {Promise<object>} The signed status list credential.
+   */
+  async issueStatusListCredential({
+    id, issuer, suite, documentLoader, validUntil, now
+  }) {
+    return this._publish({
+      id,
+      create: ({list, statusPurpose, chain}) => issueStatusListCredential({
+        id, list, statusPurpose, issuer, suite, documentLoader,
+        type: this.type, validUntil, now, chain
+      })
+    });
+  }
+
+  async _exclusive(fn) {
+    const result = this._queue.then(fn);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  // creates a credential for the current version of a list and, if lists are
+  // chained, keeps the head of its chain once the credential was created
+  async _publish({id, create}) {
+    return this._exclusive(async () => {
+      const list = await this.storage.getList({id});
+      if(!list) {
+        throw new Error(`Status list "${id}" not found.`);
+      }
+      const {statusPurpose} = list;
+      if(!this.chain) {
+        return create({list: await _decode({list}), statusPurpose});
+      }
+      const chain = new StatusListChain(
+        {links: list.chain ? [list.chain] : []});
+      const credential = await create(
+        {list: await _decode({list}), statusPurpose, chain});
+      if(!(list.chain && list.chain.digest === chain.head.digest)) {
+        await this.storage.putList({
+          list: {...list, chain: chain.head, version: list.version + 1}
+        });
+      }
+      return credential;
+    });
+  }
+
+  async _getActiveList({statusPurpose}) {
+    let id = this._activeLists.get(statusPurpose);
+    if(!id) {
+      // resume with the most recent list of the purpose
+      const ids = await this.storage.getListIds();
+      for(let i = ids.length - 1; i >= 0 && !id; --i) {
+        const list = await this.storage.getList({id: ids[i]});
+        if(list.statusPurpose === statusPurpose) {
+          id = list.id;
+        }
+      }
+    }
+    return id && this.storage.getList({id});
+  }
+
+  async _getAllocator({list: {allocatedList, length}}) {
+    return IndexAllocator.decode(
+      {encodedList: allocatedList, length, mode: this.allocation});
+  }
+
+  async _openList({statusPurpose}) {
+    const ids = await this.storage.getListIds();
+    const statusList = new StatusList({length: this.length});
+    const encodedList = await statusList.encode();
+    const list = {
+      id: `${this.baseUrl}/${ids.length + 1}`,
+      statusPurpose,
+      length: this.length,
+      statusSize: statusList.statusSize,
+      version: 0,
+      allocated: 0,
+      // no index is allocated yet, so the allocated indexes are all clear
+      allocatedList: encodedList,
+      encodedList
+    };
+    await this.storage.putList({list});
+    this._activeLists.set(statusPurpose, list.id);
+    return list;
+  }
+}
+
+async function _decode({list: {encodedList, statusSize}}) {
+  return StatusList.decode({encodedList, statusSize});
+}
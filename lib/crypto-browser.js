@@ -0,0 +1,11 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+export function getRandomValues(array) {
+  return globalThis.crypto.getRandomValues(array);
+}
+
+export async function sha256(bytes) {
+  return new Uint8Array(
+    await globalThis.crypto.subtle.digest('SHA-256', bytes));
+}
@@ -0,0 +1,12 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHash, randomFillSync} from 'crypto';
+
+export function getRandomValues(array) {
+  return randomFillSync(array);
+}
+
+export async function sha256(bytes) {
+  return new Uint8Array(createHash('sha256').update(bytes).digest());
+}
@@ -0,0 +1,85 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * The base class of the errors reported for a status entry. Each subclass
+ * has a stable `code` to match on instead of the message; the `cause` and
+ * the offending `credentialStatus`, if known, are kept. Errors of the
+ * `strict` mode list every spec violation found in `violations`.
+ */
+export class StatusListError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options to use.
+   * @param {Error} [options.cause] - The underlying error.
+   * @param {object} [options.credentialStatus] - The offending status entry.
+   * @param {Array<string>} [options.violations] - The spec violations.
+   */
+  constructor(message, {cause, credentialStatus, violations} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    if(cause !== undefined) {
+      this.cause = cause;
+    }
+    if(credentialStatus !== undefined) {
+      this.credentialStatus = credentialStatus;
+    }
+    if(violations !== undefined) {
+      this.violations = violations;
+    }
+  }
+
+  /**
+   * Creates a copy of the error for a status entry; errors of status list
+   * credentials shared by several entries are copied for each entry.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.credentialStatus - The status entry.
+   *
+   * @returns {StatusListError} The copy.
+   */
+  withCredentialStatus({credentialStatus}) {
+    const {cause, violations} = this;
+    return new this.constructor(
+      this.message, {cause, credentialStatus, violations});
+  }
+}
+StatusListError.code = 'ERR_STATUS_LIST';
+
+// the status list credential could not be loaded
+export class StatusListNotFoundError extends StatusListError {}
+StatusListNotFoundError.code = 'ERR_STATUS_LIST_NOT_FOUND';
+
+// the status list credential could not be verified
+export class StatusListNotVerifiedError extends StatusListError {}
+StatusListNotVerifiedError.code = 'ERR_STATUS_LIST_NOT_VERIFIED';
+
+// the status purposes of the entry and the status list credential differ
+export class StatusPurposeMismatchError extends StatusListError {}
+StatusPurposeMismatchError.code = 'ERR_STATUS_PURPOSE_MISMATCH';
+
+// the issuers of the credential and the status list credential differ
+export class StatusListIssuerMismatchError extends StatusListError {}
+StatusListIssuerMismatchError.code = 'ERR_STATUS_LIST_ISSUER_MISMATCH';
+
+// the status list credential is not valid at the given date or too old
+export class StatusListValidityError extends StatusListError {}
+StatusListValidityError.code = 'ERR_STATUS_LIST_VALIDITY';
+
+// the index of the entry is not in the status list
+export class StatusIndexOutOfRangeError extends StatusListError {}
+StatusIndexOutOfRangeError.code = 'ERR_STATUS_INDEX_OUT_OF_RANGE';
+
+// the encoded list of the status list credential could not be decoded
+export class StatusListDecodeError extends StatusListError {}
+StatusListDecodeError.code = 'ERR_STATUS_LIST_DECODE';
+
+// the status entry is invalid
+export class InvalidStatusEntryError extends StatusListError {}
+InvalidStatusEntryError.code = 'ERR_INVALID_STATUS_ENTRY';
+
+// the status list does not conform to the spec
+export class InvalidStatusListError extends StatusListError {}
+InvalidStatusListError.code = 'ERR_INVALID_STATUS_LIST';
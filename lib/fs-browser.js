@@ -0,0 +1,17 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+const unsupported = async () => {
+  throw new Error('The filesystem is not available in the browser.');
+};
+
+export const fs = {
+  mkdir: unsupported,
+  readFile: unsupported,
+  rename: unsupported,
+  writeFile: unsupported
+};
+
+export function dirname(path) {
+  return path.slice(0, path.lastIndexOf('/')) || '/';
+}
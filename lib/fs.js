@@ -0,0 +1,10 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import path from 'path';
+import {promises} from 'fs';
+
+// local bindings, not re-exports, so that the module is kept in `dist/` and
+// can be replaced by `fs-browser.js`
+export const fs = promises;
+export const {dirname} = path;
@@ -1,64 +1,183 @@
 /*!
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
-import credentialsCtx from 'credentials-context';
+import {assertPolicy, getSeverity} from './policy.js';
+import {
+  InvalidStatusEntryError, InvalidStatusListError, StatusIndexOutOfRangeError,
+  StatusListDecodeError, StatusListError, StatusListIssuerMismatchError,
+  StatusListNotFoundError, StatusListNotVerifiedError, StatusListValidityError,
+  StatusPurposeMismatchError
+} from './errors.js';
+import {
+  BITSTRING_STATUS_LIST, MULTIBASE_BASE64URL_HEADER, REVOCATION_LIST_2020,
+  SL_V1_CONTEXT_URL, STATUS_LIST_2021, VC_V1_CONTEXT_URL, VC_V2_CONTEXT_URL
+} from './statusListCredential.js';
 import {StatusList} from './StatusList.js';
-import {verifyCredential as vcVerifyCredential} from '@digitalcredentials/vc';
-import statusListCtx from '@digitalbazaar/vc-status-list-context';
+import {StatusListCache} from './StatusListCache.js';
+import {
+  CredentialIssuancePurpose, verifyCredential as vcVerifyCredential
+} from '@digitalcredentials/vc';
+import jsigs from '@digitalcredentials/jsonld-signatures';
 
-const VC_V1_CONTEXT_URL = credentialsCtx.constants.CREDENTIALS_CONTEXT_V1_URL;
-const SL_V1_CONTEXT_URL = statusListCtx.constants.CONTEXT_URL_V1;
+export {StatusList, StatusListCache};
+export {
+  createCredential, createStatusListBundle, issueStatusListCredential,
+  refreshStatusListCredential
+} from './statusListCredential.js';
+export {FileStatusListStorage} from './FileStatusListStorage.js';
+export {IndexAllocator} from './IndexAllocator.js';
+export {MemoryStatusListStorage} from './MemoryStatusListStorage.js';
+export {StatusListBundle} from './StatusListBundle.js';
+export {StatusListChain, verifyChainLink} from './StatusListChain.js';
+export {StatusListChainTracker} from './StatusListChainTracker.js';
+export {StatusListCredentialArchive} from './StatusListCredentialArchive.js';
+export {StatusListHistory} from './StatusListHistory.js';
+export {StatusListManager} from './StatusListManager.js';
+export {DEFAULT_STATUS_POLICY} from './policy.js';
+export {
+  InvalidStatusEntryError, InvalidStatusListError, StatusIndexOutOfRangeError,
+  StatusListDecodeError, StatusListError, StatusListIssuerMismatchError,
+  StatusListNotFoundError, StatusListNotVerifiedError, StatusListValidityError,
+  StatusPurposeMismatchError
+};
+export {
+  checkMdocStatus, checkTokenStatus, createStatusListCwt,
+  createStatusListToken, decodeStatusListCwt, decodeStatusListToken,
+  TOKEN_STATUS
+} from './tokenStatusList.js';
 
-export {StatusList};
+// the default maximum age of a status list bundle (one day)
+const DEFAULT_MAX_BUNDLE_AGE = 24 * 60 * 60 * 1000;
+// the minimum size of a status list required by the specs (16KB)
+const MIN_LIST_BITS = 131072;
 
-export async function createList({length}) {
-  return new StatusList({length});
-}
-
-export async function decodeList({encodedList}) {
-  return StatusList.decode({encodedList});
+export async function createList({length, statusSize}) {
+  return new StatusList({length, statusSize});
 }
 
 /**
- * Creates a StatusList Credential.
+ * Decodes an encoded list.
  *
  * @param {object} options - Options to use.
- * @param {string} options.id - The id for StatusList Credential.
- * @param {StatusList} options.list - An instance of StatusList.
- * @param {string} options.statusPurpose - The purpose of the status entry.
+ * @param {string} options.encodedList - The GZIP base64url encoded list,
+ *   optionally multibase encoded.
+ * @param {number} [options.statusSize=1] - The number of bits per entry.
+ * @param {boolean} [options.leftToRightIndexing=false] - Whether the list is
+ *   encoded in the bit order of the Bitstring Status List spec, where index
+ *   0 is the left-most bit, as the lists of a `BitstringStatusList` are.
+ * @param {boolean} [options.strict=false] - Whether to require the list to
+ *   conform to the specs, which require at least 131,072 bits.
  *
- * @returns {object} The resulting `StatusList Credential`.
+ * @returns {Promise<StatusList>} The decoded list.
  */
-export async function createCredential({id, list, statusPurpose}) {
-  if(!(id && typeof id === 'string')) {
-    throw new TypeError('"id" is required.');
+export async function decodeList({
+  encodedList, statusSize, leftToRightIndexing = false, strict = false
+}) {
+  // `BitstringStatusList` lists are multibase encoded; GZIP base64url always
+  // starts with `H`, so a leading multibase header is unambiguous
+  if(typeof encodedList === 'string' &&
+    encodedList.startsWith(MULTIBASE_BASE64URL_HEADER)) {
+    encodedList = encodedList.slice(MULTIBASE_BASE64URL_HEADER.length);
   }
-  if(!(list && typeof list.encode === 'function')) {
-    throw new TypeError('"list" is required.');
+  const list = await StatusList.decode(
+    {encodedList, statusSize, leftToRightIndexing});
+  if(strict) {
+    _assertConformingList({violations: _getListViolations({list})});
   }
-  if(!(statusPurpose && typeof statusPurpose === 'string')) {
-    throw new TypeError('"statusPurpose" is required.');
-  }
-  const encodedList = await list.encode();
-  return {
-    '@context': [VC_V1_CONTEXT_URL, SL_V1_CONTEXT_URL],
-    id,
-    type: ['VerifiableCredential', 'StatusList2021Credential'],
-    credentialSubject: {
-      id: `${id}#list`,
-      type: 'StatusList2021',
-      encodedList,
-      statusPurpose
-    }
-  };
+  return list;
 }
 
+/**
+ * Computes which entries changed between two encoded lists. The shorter
+ * list is treated as if it had clear entries up to the length of the
+ * longer one.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.before - The earlier encoded list.
+ * @param {string} options.after - The later encoded list.
+ * @param {number} [options.statusSize=1] - The number of bits per entry.
+ * @param {boolean} [options.leftToRightIndexing=false] - Whether the lists
+ *   are encoded in the bit order of the Bitstring Status List spec.
+ *
+ * @returns {Promise<StatusList>} A list in which the entries that changed
+ *   are set; use `getSetIndexes()` to get their indexes.
+ */
+export async function diffLists({
+  before, after, statusSize, leftToRightIndexing
+}) {
+  let [a, b] = await Promise.all([
+    decodeList({encodedList: before, statusSize, leftToRightIndexing}),
+    decodeList({encodedList: after, statusSize, leftToRightIndexing})
+  ]);
+  const length = Math.max(a.length, b.length);
+  a = a.resize(length);
+  b = b.resize(length);
+  return a.merge(b, 'xor');
+}
+
+/**
+ * Checks the status of a credential against each of its status entries.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - A VC.
+ * @param {Function} options.documentLoader - A document loader used to load
+ *   the status list credentials.
+ * @param {object|Array<object>} [options.suite] - The suite(s) to verify the
+ *   status list credentials with.
+ * @param {boolean} [options.verifyStatusListCredential=true] - Whether to
+ *   verify the status list credentials.
+ * @param {boolean} [options.verifyMatchingIssuers=true] - Whether the
+ *   issuers of the VC and the status list credentials must match.
+ * @param {object} [options.policy] - A verification policy that lists the
+ *   status purposes for which a set status is `fatal`, a `warning` or
+ *   `informational` and the severity of `unknown` purposes; purposes that
+ *   are not listed use `DEFAULT_STATUS_POLICY`.
+ * @param {Date|Function} [options.now=new Date()] - The current date, or a
+ *   function that returns it, to check the validity period of the status
+ *   list credentials against.
+ * @param {number} [options.maxAge] - The maximum age, in milliseconds, of a
+ *   status list credential based on its `validFrom` or `issuanceDate`.
+ * @param {object} [options.cache] - A `StatusListCache` for verified and
+ *   decoded status lists shared across calls; verified lists are only
+ *   reused with the same `suite` and `documentLoader`.
+ * @param {object} [options.chainTracker] - A `StatusListChainTracker`; if
+ *   given, each status list credential must have a `statusListChain` that
+ *   is consistent with, and not older than, the last version seen.
+ * @param {object} [options.bundle] - A verified `StatusListBundle` to take
+ *   the status list credentials from instead of loading them; lists from a
+ *   bundle are not cached.
+ * @param {number} [options.maxBundleAge=86400000] - The maximum age, in
+ *   milliseconds, of the `snapshotDate` of the bundle; an older bundle is
+ *   refused.
+ * @param {number} [options.maxFallbackAge] - Opts in to fall back, when a
+ *   status list credential cannot be loaded, on the last one the `cache`
+ *   loaded successfully up to this many milliseconds ago; the results of
+ *   such entries have `stale: true` and `source: 'fallback'`. A status list
+ *   credential that fails verification is never replaced.
+ * @param {boolean} [options.strict=false] - Whether to enforce every
+ *   normative statement of the specs about the status entries and lists
+ *   and report all violations of an entry or list in the `violations` of
+ *   the error in the entry's result.
+ *
+ * @returns {Promise<object>} The overall `verified` value, the `results`
+ *   of each entry, the `snapshotDate` of the bundle, if any, and any
+ *   `error`.
+ */
 export async function checkStatus({
   credential,
   documentLoader,
   suite,
   verifyStatusListCredential = true,
-  verifyMatchingIssuers = true
+  verifyMatchingIssuers = true,
+  policy,
+  now,
+  maxAge,
+  cache,
+  chainTracker,
+  bundle,
+  maxBundleAge,
+  maxFallbackAge,
+  strict = false
 } = {}) {
   let result;
   try {
@@ -68,6 +187,15 @@ export async function checkStatus({
       suite,
       verifyStatusListCredential,
       verifyMatchingIssuers,
+      policy,
+      now,
+      maxAge,
+      cache,
+      chainTracker,
+      bundle,
+      maxBundleAge,
+      maxFallbackAge,
+      strict
     });
   } catch(error) {
     result = {
@@ -78,6 +206,131 @@ export async function checkStatus({
   return result;
 }
 
+/**
+ * Checks the status of a credential as it was at a past date, against the
+ * versions of its status list credentials that were current at that date.
+ * Status list credentials known to the archive are only loaded from it;
+ * everything else, such as contexts, is loaded with the document loader.
+ * Any other option is passed to `checkStatus`, except `cache`,
+ * `chainTracker`, `bundle` and `maxFallbackAge`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - A VC.
+ * @param {Date} options.date - The date to check the status at.
+ * @param {object} options.archive - A `StatusListCredentialArchive`.
+ * @param {Function} options.documentLoader - A document loader.
+ *
+ * @returns {Promise<object>} The result of `checkStatus` at `date`.
+ */
+export async function checkStatusAt({
+  credential, date, archive, documentLoader, ...options
+} = {}) {
+  if(!(date instanceof Date && !isNaN(date))) {
+    return {
+      verified: false, error: new TypeError('"date" must be a valid Date.')
+    };
+  }
+  if(!(archive && typeof archive.get === 'function' &&
+    typeof archive.has === 'function')) {
+    return {
+      verified: false,
+      error: new TypeError('"archive" must be a "StatusListCredentialArchive".')
+    };
+  }
+  const archiveLoader = async url => {
+    if(!archive.has({url})) {
+      return documentLoader(url);
+    }
+    const document = archive.get({url, date});
+    if(!document) {
+      throw new Error(
+        `No archived version of "${url}" is current at ` +
+        `"${date.toISOString()}".`);
+    }
+    return {contextUrl: null, documentUrl: url, document};
+  };
+  // cached lists and the versions seen are not tied to a date
+  delete options.cache;
+  delete options.chainTracker;
+  delete options.bundle;
+  delete options.maxFallbackAge;
+  return checkStatus({
+    ...options, credential, documentLoader: archiveLoader, now: date
+  });
+}
+
+/**
+ * Checks the status of many credentials. Credentials that use the same
+ * status list credential share it: each status list credential is loaded
+ * and verified only once and each list is decoded only once. Any other
+ * option is passed to `checkStatus`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.credentials - The VCs.
+ * @param {object} [options.cache] - A `StatusListCache` to share the
+ *   status lists with other calls; by default the status lists are only
+ *   shared within this call.
+ *
+ * @returns {Promise<Array<object>>} The result of `checkStatus` for each
+ *   credential, in the same order.
+ */
+export async function checkStatuses({
+  credentials,
+  cache = new StatusListCache(),
+  ...options
+} = {}) {
+  if(!Array.isArray(credentials)) {
+    throw new TypeError('"credentials" must be an array.');
+  }
+  return Promise.all(credentials.map(
+    credential => checkStatus({...options, credential, cache})));
+}
+
+/**
+ * Checks the status of each credential in a Verifiable Presentation. The
+ * credentials share the loading, verification and decoding of their status
+ * lists. Any other option is passed to `checkStatus`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.presentation - A VP with one or more credentials
+ *   in `verifiableCredential`.
+ * @param {object} [options.cache] - A `StatusListCache` to share the
+ *   status lists with other calls.
+ *
+ * @returns {Promise<object>} The overall `verified` value, the `results`
+ *   of `checkStatus` for each credential and the first `error`.
+ */
+export async function checkPresentationStatus({
+  presentation,
+  ...options
+} = {}) {
+  let results;
+  try {
+    if(!(presentation && typeof presentation === 'object')) {
+      throw new TypeError('"presentation" must be an object.');
+    }
+    const {verifiableCredential} = presentation;
+    const credentials = Array.isArray(verifiableCredential) ?
+      verifiableCredential : [verifiableCredential];
+    if(!(credentials.length > 0 && credentials.every(c => c))) {
+      throw new TypeError('"presentation.verifiableCredential" must be a ' +
+        'credential or a non-empty array of credentials.');
+    }
+    results = await checkStatuses({...options, credentials});
+  } catch(error) {
+    return {verified: false, error};
+  }
+  const result = {
+    verified: results.every(({verified}) => verified),
+    results
+  };
+  const failed = results.find(({error}) => error);
+  if(failed) {
+    result.error = failed.error;
+  }
+  return result;
+}
+
 export function statusTypeMatches({credential} = {}) {
   _isObject({credential});
   // check for expected contexts
@@ -85,9 +338,11 @@ export function statusTypeMatches({credential} = {}) {
   if(!Array.isArray(contexts)) {
     throw new TypeError('"@context" must be an array.');
   }
-  if(contexts[0] !== VC_V1_CONTEXT_URL) {
+  if(!(contexts[0] === VC_V1_CONTEXT_URL ||
+    contexts[0] === VC_V2_CONTEXT_URL)) {
     throw new Error(
-      `The first "@context" value must be "${VC_V1_CONTEXT_URL}".`);
+      `The first "@context" value must be "${VC_V1_CONTEXT_URL}" or ` +
+      `"${VC_V2_CONTEXT_URL}".`);
   }
   const {credentialStatus} = credential;
   if(!credentialStatus) {
@@ -98,12 +353,12 @@ export function statusTypeMatches({credential} = {}) {
     // bad status
     throw new Error('"credentialStatus" is invalid.');
   }
-  if(!contexts.includes(SL_V1_CONTEXT_URL)) {
-    // context not present, no match
-    return false;
-  }
   const credentialStatuses = _getStatuses({credential});
-  return credentialStatuses.length > 0;
+  // an entry only matches if the contexts for its type are present
+  return credentialStatuses.some(credentialStatus => {
+    const {contexts: requiredContexts} = _getEntryRules({credentialStatus});
+    return requiredContexts.every(ctx => contexts.includes(ctx));
+  });
 }
 
 export function assertStatusList2021Context({credential} = {}) {
@@ -122,6 +377,19 @@ export function assertStatusList2021Context({credential} = {}) {
   }
 }
 
+export function assertBitstringStatusListContext({credential} = {}) {
+  _isObject({credential});
+  // check for expected contexts
+  const {'@context': contexts} = credential;
+  if(!Array.isArray(contexts)) {
+    throw new TypeError('"@context" must be an array.');
+  }
+  if(contexts[0] !== VC_V2_CONTEXT_URL) {
+    throw new Error(
+      `The first "@context" value must be "${VC_V2_CONTEXT_URL}".`);
+  }
+}
+
 /**
  * Gets the `credentialStatus` of a credential based on its status purpose
  * (`statusPurpose`).
@@ -130,90 +398,446 @@ export function assertStatusList2021Context({credential} = {}) {
  * @param {object} options.credential - A VC.
  * @param {'revocation'|'suspension'} options.statusPurpose - A
  *   `statusPurpose`.
+ * @param {boolean} [options.strict=false] - Whether to enforce every
+ *   normative statement about the `credentialStatus` and report all
+ *   violations.
  *
  * @throws If the `credentialStatus` is invalid or missing.
  *
  * @returns {object} The resulting `credentialStatus`.
  */
-export function getCredentialStatus({credential, statusPurpose} = {}) {
+export function getCredentialStatus({
+  credential, statusPurpose, strict = false
+} = {}) {
   _isObject({credential});
-  assertStatusList2021Context({credential});
+  const rules = _getRules({credential});
+  if(rules === BITSTRING_STATUS_LIST) {
+    assertBitstringStatusListContext({credential});
+  } else {
+    assertStatusList2021Context({credential});
+  }
   if(!(statusPurpose && typeof statusPurpose === 'string')) {
     throw new TypeError('"statusPurpose" must be a string.');
   }
   // get and validate status
   if(!(credential.credentialStatus &&
     typeof credential.credentialStatus === 'object')) {
-    throw new Error('"credentialStatus" is missing or invalid.');
+    throw new InvalidStatusEntryError(
+      '"credentialStatus" is missing or invalid.',
+      {credentialStatus: credential.credentialStatus});
   }
-  const credentialStatuses = _getStatuses({credential});
+  const credentialStatuses = _getStatuses({credential, statusRules: [rules]});
   if(credentialStatuses.length === 0) {
-    throw new Error('"credentialStatus" with type "StatusList2021Entry" ' +
-    `and status purpose "${statusPurpose}" not found.`);
+    throw new InvalidStatusEntryError(
+      `"credentialStatus" with type "${rules.entryType}" ` +
+      `and status purpose "${statusPurpose}" not found.`,
+      {credentialStatus: credential.credentialStatus});
   }
   const result = credentialStatuses.filter(
-    credentialStatus => _validateStatus({credentialStatus})).find(
+    credentialStatus => _validateStatus({credentialStatus, rules, strict})
+  ).find(
     // check for matching `statusPurpose`
     cs => cs.statusPurpose === statusPurpose);
   if(!result) {
-    throw new Error('"credentialStatus" with type "StatusList2021Entry" ' +
-    `and status purpose "${statusPurpose}" not found.`);
+    throw new InvalidStatusEntryError(
+      `"credentialStatus" with type "${rules.entryType}" ` +
+      `and status purpose "${statusPurpose}" not found.`,
+      {credentialStatus: credential.credentialStatus});
   }
   return result;
 }
 
+/**
+ * Validates a status list credential, e.g., before publishing it, against
+ * the specs of its type: the order of its contexts, its types, its list
+ * type and status purpose, that its `encodedList` is a GZIP compressed,
+ * base64url encoded list of at least 131,072 bits and that the id of its
+ * `credentialSubject` belongs to the credential. The proof is not checked.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - A status list credential.
+ *
+ * @throws {TypeError} If the credential is not an object.
+ *
+ * @returns {Promise<object>} `{valid, findings}`, where each finding has the
+ *   `path` of the offending property and a `message`.
+ */
+export async function validateStatusListCredential({credential} = {}) {
+  _isObject({credential});
+  const findings = [];
+  const report = (path, message) => findings.push({path, message});
+  const {'@context': contexts, type, id, credentialSubject} = credential;
+  const types = Array.isArray(type) ? type : [];
+  const rules = [STATUS_LIST_2021, BITSTRING_STATUS_LIST, REVOCATION_LIST_2020]
+    .find(({credentialType}) => types.includes(credentialType)) ||
+    _getRules({credential});
+
+  // the base context comes first, the status list context after it
+  if(!Array.isArray(contexts)) {
+    report('@context', '"@context" must be an array.');
+  } else {
+    const [baseContext, ...listContexts] = rules.contexts;
+    if(contexts[0] !== baseContext) {
+      report('@context',
+        `The first "@context" value must be "${baseContext}".`);
+    }
+    for(const context of listContexts) {
+      if(!contexts.includes(context)) {
+        report('@context', `"@context" must include "${context}".`);
+      }
+    }
+  }
+  if(!Array.isArray(type)) {
+    report('type', '"type" must be an array.');
+  } else {
+    for(const requiredType of ['VerifiableCredential', rules.credentialType]) {
+      if(!type.includes(requiredType)) {
+        report('type', `"type" must include "${requiredType}".`);
+      }
+    }
+  }
+  if(!(typeof id === 'string' && _isUrl(id))) {
+    report('id', '"id" must be a URL.');
+  }
+  if(!(credentialSubject && typeof credentialSubject === 'object')) {
+    report('credentialSubject', '"credentialSubject" must be an object.');
+    return {valid: false, findings};
+  }
+
+  if(credentialSubject.type !== rules.listType) {
+    report('credentialSubject.type',
+      `"credentialSubject.type" must be "${rules.listType}".`);
+  }
+  // legacy lists have no `statusPurpose`
+  if(!rules.statusPurpose && !(credentialSubject.statusPurpose &&
+    typeof credentialSubject.statusPurpose === 'string')) {
+    report('credentialSubject.statusPurpose',
+      '"credentialSubject.statusPurpose" must be a string.');
+  }
+  findings.push(...await _getEncodedListFindings({credentialSubject, rules}));
+
+  // the list is part of the credential, e.g., "<id>#list"
+  const {id: subjectId} = credentialSubject;
+  if(subjectId === undefined) {
+    if(rules !== BITSTRING_STATUS_LIST) {
+      report('credentialSubject.id', '"credentialSubject.id" is missing.');
+    }
+  } else if(!(typeof subjectId === 'string' && _isUrl(subjectId) &&
+    subjectId !== id && subjectId.split('#')[0] === id)) {
+    report('credentialSubject.id',
+      '"credentialSubject.id" must be the "id" of the credential with a ' +
+      'fragment, such as "#list".');
+  }
+  return {valid: findings.length === 0, findings};
+}
+
+/**
+ * Checks a single status entry of a credential. Failures do not throw; they
+ * are reported via the `error` of the result.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - A VC.
+ * @param {object} options.credentialStatus - One of its status entries.
+ * @param {object} options.rules - The status list rules for the entry.
+ * @param {boolean} options.verifyStatusListCredential - Whether to verify
+ *   the status list credential.
+ * @param {boolean} options.verifyMatchingIssuers - Whether the issuers of
+ *   the VC and the status list credential must match.
+ * @param {object|Array<object>} [options.suite] - The suite(s) to verify the
+ *   status list credential with.
+ * @param {Function} options.documentLoader - A document loader.
+ * @param {object} [options.policy] - A verification policy.
+ * @param {Date} options.now - The current date.
+ * @param {number} [options.maxAge] - The maximum age of the status list
+ *   credential in milliseconds.
+ * @param {object} [options.cache] - A `StatusListCache` for status list
+ *   credentials and their decoded lists.
+ * @param {object} [options.chainTracker] - A `StatusListChainTracker`.
+ * @param {object} [options.bundle] - A `StatusListBundle` to take the status
+ *   list credential from.
+ * @param {number} [options.maxFallbackAge] - The maximum age of a cached
+ *   status list credential to fall back on.
+ * @param {boolean} options.strict - Whether to enforce every normative
+ *   statement about the entry and the status list.
+ *
+ * @returns {Promise<object>} The result for the entry with its
+ *   `statusPurpose`, the `severity` of a set status under the policy,
+ *   `statusListIndex`, `statusListCredential`, whether the list credential
+ *   was verified (`listVerified`), the `status` value and `message` found
+ *   and any `error`.
+ */
 async function _checkStatus({
   credential,
   credentialStatus,
+  rules,
   verifyStatusListCredential,
   verifyMatchingIssuers,
   suite,
-  documentLoader
+  documentLoader,
+  policy,
+  now,
+  maxAge,
+  cache,
+  chainTracker,
+  bundle,
+  maxFallbackAge,
+  strict
 }) {
-  // get SL position
-  const {statusListIndex} = credentialStatus;
-  const index = parseInt(statusListIndex, 10);
-  // retrieve SL VC
-  let slCredential;
+  // lists with an implied status purpose do not state it
+  const statusPurpose = rules.statusPurpose || credentialStatus.statusPurpose;
+  const result = {
+    verified: false,
+    statusPurpose,
+    severity: getSeverity({policy, statusPurpose}),
+    statusListIndex: parseInt(credentialStatus[rules.indexProperty], 10),
+    statusListCredential: credentialStatus[rules.credentialProperty],
+    listVerified: false
+  };
   try {
-    ({document: slCredential} = await documentLoader(
-      credentialStatus.statusListCredential));
-  } catch(e) {
-    const err = new Error(
-      'Could not load "StatusList2021Credential"; ' +
-      `reason: ${e.message}`);
-    err.cause = e;
-    throw err;
-  }
-  const {statusPurpose: credentialStatusPurpose} = credentialStatus;
-  const {statusPurpose: slCredentialStatusPurpose} =
-    slCredential.credentialSubject;
-  if(slCredentialStatusPurpose !== credentialStatusPurpose) {
-    throw new Error(
-      `The status purpose "${slCredentialStatusPurpose}" of the status ` +
-      `list credential does not match the status purpose ` +
-      `"${credentialStatusPurpose}" in the credential.`);
-  }
-  // verify SL VC
-  if(verifyStatusListCredential) {
-    const verifyResult = await vcVerifyCredential({
-      credential: slCredential,
+    _validateStatus({credentialStatus, rules, strict});
+    await _checkStatusEntry({
+      credential,
+      credentialStatus,
+      rules,
+      verifyStatusListCredential,
+      verifyMatchingIssuers,
       suite,
-      documentLoader
+      documentLoader,
+      now,
+      maxAge,
+      cache,
+      chainTracker,
+      bundle,
+      maxFallbackAge,
+      strict,
+      result
     });
-    if(!verifyResult.verified) {
-      const {error: e} = verifyResult;
-      let msg = '"StatusList2021Credential" not verified';
-      if(e) {
-        msg += `; reason: ${e.message}`;
-      } else {
-        msg += '.';
+  } catch(error) {
+    result.verified = false;
+    result.error = error;
+  }
+  return result;
+}
+
+async function _checkStatusEntry({
+  credential,
+  credentialStatus,
+  rules,
+  verifyStatusListCredential,
+  verifyMatchingIssuers,
+  suite,
+  documentLoader,
+  now,
+  maxAge,
+  cache,
+  chainTracker,
+  bundle,
+  maxFallbackAge,
+  strict,
+  result
+}) {
+  const {statusListIndex: index, statusListCredential: url} = result;
+  const {statusSize = 1, statusMessage} = credentialStatus;
+  const load = () => _loadStatusListCredential({
+    url, rules, verifyStatusListCredential, suite, documentLoader, now, bundle
+  });
+
+  // retrieve (and verify) SL VC
+  let slCredential;
+  let listVerified;
+  let entry;
+  if(cache && !bundle) {
+    const verified = verifyStatusListCredential;
+    const verifier = {suite, documentLoader};
+    try {
+      entry = await cache.get({url, verified, verifier, load});
+    } catch(e) {
+      // only fall back when the list cannot be loaded, never when it fails
+      // verification
+      entry = e instanceof StatusListNotFoundError &&
+        maxFallbackAge !== undefined && cache.getFallback(
+        {url, verified, verifier, maxAge: maxFallbackAge});
+      if(!entry) {
+        throw _forEntry({error: e, credentialStatus});
       }
-      const err = new Error(msg);
-      if(e) {
-        err.cause = verifyResult.error;
+      result.stale = true;
+      result.source = 'fallback';
+    }
+    ({slCredential, listVerified} = entry);
+  } else {
+    try {
+      ({slCredential, listVerified} = await load());
+    } catch(e) {
+      throw _forEntry({error: e, credentialStatus});
+    }
+  }
+  result.listVerified = listVerified;
+
+  _checkStatusListCredential({
+    credential, credentialStatus, slCredential, rules,
+    statusPurpose: result.statusPurpose, verifyMatchingIssuers, now, maxAge
+  });
+  if(chainTracker) {
+    await chainTracker.check({credential: slCredential});
+  }
+
+  // decode list from SL VC
+  const {credentialSubject: {encodedList}} = slCredential;
+  let list;
+  try {
+    const {leftToRightIndexing} = rules;
+    list = await (entry ?
+      _getCachedList({entry, statusSize, leftToRightIndexing}) :
+      decodeList({encodedList, statusSize, leftToRightIndexing}));
+  } catch(e) {
+    throw new StatusListDecodeError(e.message, {cause: e, credentialStatus});
+  }
+  if(strict) {
+    const violations = _getListViolations({list});
+    if(rules.multibase && !encodedList.startsWith(MULTIBASE_BASE64URL_HEADER)) {
+      violations.unshift('"encodedList" must be a multibase base64url ' +
+        `encoded value starting with "${MULTIBASE_BASE64URL_HEADER}".`);
+    }
+    _assertConformingList({violations, credentialStatus});
+  }
+
+  // check VC's SL index for the status
+  if(index < 0 || index >= list.length) {
+    throw new StatusIndexOutOfRangeError(
+      `Position "${index}" is out of range "0-${list.length - 1}".`,
+      {credentialStatus});
+  }
+  const status = Number(list.getStatus(index));
+  result.status = status;
+  if(statusMessage) {
+    const match = statusMessage.find(
+      ({status: value}) => parseInt(value, 16) === status);
+    if(match) {
+      result.message = match.message;
+    }
+  }
+  // only a set status of a `fatal` purpose invalidates the entry
+  result.verified = result.severity !== 'fatal' || status === 0;
+}
+
+/**
+ * Loads a status list credential and, if requested, verifies it.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.url - The URL of the status list credential.
+ * @param {object} options.rules - The status list rules for the entry.
+ * @param {boolean} options.verifyStatusListCredential - Whether to verify
+ *   the status list credential.
+ * @param {object|Array<object>} [options.suite] - The suite(s) to verify the
+ *   status list credential with.
+ * @param {Function} options.documentLoader - A document loader.
+ * @param {Date} options.now - The date to verify the status list credential
+ *   at.
+ * @param {object} [options.bundle] - A `StatusListBundle` to take the status
+ *   list credential from instead of loading it.
+ *
+ * @returns {Promise<{slCredential: object, listVerified: boolean}>} The
+ *   status list credential and whether it was verified.
+ */
+async function _loadStatusListCredential({
+  url, rules, verifyStatusListCredential, suite, documentLoader, now, bundle
+}) {
+  let slCredential;
+  try {
+    if(bundle) {
+      slCredential = bundle.get({url});
+      if(!slCredential) {
+        throw new Error(`"${url}" is not in the status list bundle.`);
       }
-      throw err;
+    } else {
+      ({document: slCredential} = await documentLoader(url));
+    }
+  } catch(e) {
+    throw new StatusListNotFoundError(
+      `Could not load "${rules.credentialType}"; reason: ${e.message}`,
+      {cause: e});
+  }
+  if(!verifyStatusListCredential) {
+    return {slCredential, listVerified: false};
+  }
+  const verifyResult = await _verifyCredential({
+    credential: slCredential,
+    suite,
+    documentLoader,
+    now
+  });
+  if(!verifyResult.verified) {
+    const {error: e} = verifyResult;
+    let msg = `"${rules.credentialType}" not verified`;
+    if(e) {
+      msg += `; reason: ${e.message}`;
+    } else {
+      msg += '.';
+    }
+    throw new StatusListNotVerifiedError(msg, {cause: e});
+  }
+  return {slCredential, listVerified: true};
+}
+
+/**
+ * Verifies a status list credential. `@digitalcredentials/vc` only accepts
+ * VC 1.1 credentials, so the proof of a VC 2.0 credential, such as a
+ * `BitstringStatusListCredential`, is verified directly; its validity period
+ * is checked with the rest of the status list credential.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - The status list credential.
+ * @param {object|Array<object>} [options.suite] - The suite(s) to verify the
+ *   credential with.
+ * @param {Function} options.documentLoader - A document loader.
+ * @param {Date} options.now - The date to verify the credential at.
+ *
+ * @returns {Promise<{verified: boolean, error: Error}>} The result.
+ */
+async function _verifyCredential({credential, suite, documentLoader, now}) {
+  const {'@context': contexts} = credential;
+  if(!(Array.isArray(contexts) && contexts[0] === VC_V2_CONTEXT_URL)) {
+    return vcVerifyCredential({credential, suite, documentLoader, now});
+  }
+  try {
+    return await jsigs.verify(credential, {
+      suite, documentLoader, purpose: new CredentialIssuancePurpose()
+    });
+  } catch(error) {
+    return {verified: false, error};
+  }
+}
+
+/**
+ * Ensures a loaded status list credential applies to a status entry: its
+ * status purpose, issuer, validity period and types must match.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - The VC.
+ * @param {object} options.credentialStatus - The status entry.
+ * @param {object} options.slCredential - The status list credential.
+ * @param {object} options.rules - The status list rules for the entry.
+ * @param {string} options.statusPurpose - The status purpose of the entry.
+ * @param {boolean} options.verifyMatchingIssuers - Whether the issuers of
+ *   the VC and the status list credential must match.
+ * @param {Date} options.now - The current date.
+ * @param {number} [options.maxAge] - The maximum age of the status list
+ *   credential in milliseconds.
+ *
+ * @throws - An error if the status list credential does not apply.
+ */
+function _checkStatusListCredential({
+  credential, credentialStatus, slCredential, rules, statusPurpose,
+  verifyMatchingIssuers, now, maxAge
+}) {
+  if(!rules.statusPurpose) {
+    const {statusPurpose: slCredentialStatusPurpose} =
+      slCredential.credentialSubject;
+    if(slCredentialStatusPurpose !== statusPurpose) {
+      throw new StatusPurposeMismatchError(
+        `The status purpose "${slCredentialStatusPurpose}" of the status ` +
+        `list credential does not match the status purpose ` +
+        `"${statusPurpose}" in the credential.`, {credentialStatus});
     }
   }
 
@@ -230,30 +854,51 @@ async function _checkStatus({
 
     if(!(credentialIssuer && statusListCredentialIssuer) ||
       (credentialIssuer !== statusListCredentialIssuer)) {
-      throw new Error(
+      throw new StatusListIssuerMismatchError(
         'Issuers of the status list credential and verifiable ' +
-        'credential do not match.');
+        'credential do not match.', {credentialStatus});
     }
   }
-  if(!slCredential.type.includes('StatusList2021Credential')) {
-    throw new Error(
-      'Status list credential type must include "StatusList2021Credential".');
+  _checkValidityPeriod({slCredential, now, maxAge, credentialStatus});
+
+  if(!slCredential.type.includes(rules.credentialType)) {
+    throw new InvalidStatusListError(
+      'Status list credential type must include ' +
+      `"${rules.credentialType}".`, {credentialStatus});
   }
 
   // get JSON StatusList
   const {credentialSubject: sl} = slCredential;
 
-  if(sl.type !== 'StatusList2021') {
-    throw new Error('Status list type must be "StatusList2021".');
+  if(sl.type !== rules.listType) {
+    throw new InvalidStatusListError(
+      `Status list type must be "${rules.listType}".`, {credentialStatus});
   }
+}
 
-  // decode list from SL VC
-  const {encodedList} = sl;
-  const list = await decodeList({encodedList});
-
-  // check VC's SL index for the status
-  const verified = !list.getStatus(index);
-  return {verified};
+/**
+ * Gets the decoded list of a cached status list credential, decoding it
+ * only once per status size.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.entry - A `StatusListCache` entry.
+ * @param {number} options.statusSize - The number of bits per entry.
+ * @param {boolean} options.leftToRightIndexing - Whether the list is
+ *   encoded in the bit order of the Bitstring Status List spec; it follows
+ *   from the type of the status list credential.
+ *
+ * @returns {Promise<StatusList>} The decoded list.
+ */
+async function _getCachedList({entry, statusSize, leftToRightIndexing}) {
+  let promise = entry.lists.get(statusSize);
+  if(!promise) {
+    const {credentialSubject: {encodedList}} = entry.slCredential;
+    promise = decodeList({encodedList, statusSize, leftToRightIndexing});
+    entry.lists.set(statusSize, promise);
+    // do not cache decoding failures
+    promise.catch(() => entry.lists.delete(statusSize));
+  }
+  return promise;
 }
 
 async function _checkStatuses({
@@ -261,9 +906,49 @@ async function _checkStatuses({
   documentLoader,
   suite,
   verifyStatusListCredential,
-  verifyMatchingIssuers
+  verifyMatchingIssuers,
+  policy,
+  now = new Date(),
+  maxAge,
+  cache,
+  chainTracker,
+  bundle,
+  maxBundleAge = DEFAULT_MAX_BUNDLE_AGE,
+  maxFallbackAge,
+  strict
 }) {
   _isObject({credential});
+  if(policy !== undefined) {
+    assertPolicy({policy});
+  }
+  if(typeof now === 'function') {
+    now = now();
+  }
+  if(!(now instanceof Date && !isNaN(now))) {
+    throw new TypeError('"now" must be a valid Date or a function ' +
+      'returning one.');
+  }
+  if(maxAge !== undefined && !(Number.isFinite(maxAge) && maxAge >= 0)) {
+    throw new TypeError('"maxAge" must be a non-negative number.');
+  }
+  if(cache !== undefined && !(cache && typeof cache.get === 'function')) {
+    throw new TypeError('"cache" must be a "StatusListCache".');
+  }
+  if(chainTracker !== undefined &&
+    !(chainTracker && typeof chainTracker.check === 'function')) {
+    throw new TypeError('"chainTracker" must be a "StatusListChainTracker".');
+  }
+  if(bundle !== undefined) {
+    _checkBundle({bundle, maxBundleAge, now});
+  }
+  if(maxFallbackAge !== undefined) {
+    if(!(Number.isFinite(maxFallbackAge) && maxFallbackAge >= 0)) {
+      throw new TypeError('"maxFallbackAge" must be a non-negative number.');
+    }
+    if(!cache) {
+      throw new TypeError('"maxFallbackAge" requires a "cache".');
+    }
+  }
   if(typeof documentLoader !== 'function') {
     throw new TypeError('"documentLoader" must be a function.');
   }
@@ -274,63 +959,277 @@ async function _checkStatuses({
   }
   const credentialStatuses = _getStatuses({credential});
   if(credentialStatuses.length === 0) {
-    throw new Error('"credentialStatus.type" must be "StatusList2021Entry".');
+    const entryTypes = _getStatusRules({credential}).map(
+      ({entryType}) => `"${entryType}"`);
+    throw new InvalidStatusEntryError(
+      `"credentialStatus.type" must be ${entryTypes.join(' or ')}.`,
+      {credentialStatus: credential.credentialStatus});
   }
-  credentialStatuses.forEach(
-    credentialStatus => _validateStatus({credentialStatus}));
   const results = await Promise.all(credentialStatuses.map(
     credentialStatus => _checkStatus({
       credential,
       credentialStatus,
+      rules: _getEntryRules({credentialStatus}),
       suite,
       documentLoader,
       verifyStatusListCredential,
-      verifyMatchingIssuers
+      verifyMatchingIssuers,
+      policy,
+      now,
+      maxAge,
+      cache,
+      chainTracker,
+      bundle,
+      maxFallbackAge,
+      strict
     })));
   const verified = results.every(
     ({verified = false} = {}) => verified === true);
-  return {verified};
+  const {error} = results.find(({error}) => error) || {};
+  const result = {verified, results};
+  if(bundle) {
+    result.snapshotDate = bundle.snapshotDate.toISOString();
+  }
+  if(error) {
+    result.error = error;
+  }
+  return result;
+}
+
+// errors of status list credentials shared by several entries, via the
+// cache, are copied for each entry
+function _forEntry({error, credentialStatus}) {
+  if(error instanceof StatusListError) {
+    return error.withCredentialStatus({credentialStatus});
+  }
+  return error;
+}
+
+// ensures a status list bundle is recent enough to be used at `now`
+function _checkBundle({bundle, maxBundleAge, now}) {
+  if(!(bundle && typeof bundle.get === 'function' &&
+    bundle.snapshotDate instanceof Date)) {
+    throw new TypeError('"bundle" must be a "StatusListBundle".');
+  }
+  if(!(typeof maxBundleAge === 'number' && maxBundleAge >= 0)) {
+    throw new TypeError('"maxBundleAge" must be a non-negative number.');
+  }
+  if(now - bundle.snapshotDate > maxBundleAge) {
+    throw new Error(
+      `The status list bundle from "${bundle.snapshotDate.toISOString()}" ` +
+      `is older than the maximum age of ${maxBundleAge} ms.`);
+  }
 }
 
 /**
  * Takes in a credentialStatus an ensures it meets the
- * normative statements from the Status List 2021 spec.
+ * normative statements from the Status List 2021 spec, the Bitstring
+ * Status List spec or the Revocation List 2020 spec, depending on the given
+ * rules.
  *
  * @see https://w3c-ccg.github.io/vc-status-list-2021/
+ * @see https://www.w3.org/TR/vc-bitstring-status-list/
+ * @see https://w3c-ccg.github.io/vc-status-rl-2020/
  *
  * @param {object} options - Options to use.
  * @param {object} options.credentialStatus - A credentialStatus.
+ * @param {object} [options.rules] - The status list rules to apply.
+ * @param {boolean} [options.strict=false] - Whether to enforce every
+ *   normative statement and report all violations instead of the first.
  *
  * @throws - An error if the credentialStatus is non-normative.
  *
  * @returns {object} A credentialStatus.
  */
-function _validateStatus({credentialStatus}) {
-  if(credentialStatus.type !== 'StatusList2021Entry') {
-    throw new Error(
-      '"credentialStatus.type" must be "StatusList2021Entry".');
+function _validateStatus({
+  credentialStatus, rules = STATUS_LIST_2021, strict = false
+}) {
+  const violations = [
+    ..._getStatusViolations({credentialStatus, rules, strict}),
+    ..._getStatusSizeViolations({credentialStatus, strict})
+  ];
+  if(violations.length === 0) {
+    return credentialStatus;
   }
-  if(typeof credentialStatus.statusPurpose !== 'string') {
-    throw new TypeError(
-      '"credentialStatus.statusPurpose" must be a string.');
+  if(!strict) {
+    throw new InvalidStatusEntryError(violations[0], {credentialStatus});
   }
-  if(typeof credentialStatus.id !== 'string') {
-    throw new TypeError(
-      '"credentialStatus.id" must be a string.');
+  throw new InvalidStatusEntryError(
+    '"credentialStatus" does not conform to the specification: ' +
+    violations.join(' '), {credentialStatus, violations});
+}
+
+/**
+ * Gets the violations of the normative statements about the properties of
+ * a credentialStatus.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credentialStatus - A credentialStatus.
+ * @param {object} options.rules - The status list rules to apply.
+ * @param {boolean} options.strict - Whether to also check the statements
+ *   that are only enforced in strict mode.
+ *
+ * @returns {Array<string>} The violations.
+ */
+function _getStatusViolations({credentialStatus, rules, strict}) {
+  const violations = [];
+  if(credentialStatus.type !== rules.entryType) {
+    violations.push(`"credentialStatus.type" must be "${rules.entryType}".`);
+  }
+  if(!rules.statusPurpose &&
+    typeof credentialStatus.statusPurpose !== 'string') {
+    violations.push('"credentialStatus.statusPurpose" must be a string.');
+  }
+  // the `id` of a `BitstringStatusListEntry` is optional
+  if(credentialStatus.id !== undefined || rules !== BITSTRING_STATUS_LIST) {
+    if(typeof credentialStatus.id !== 'string') {
+      violations.push('"credentialStatus.id" must be a string.');
+    } else if(strict && !_isUrl(credentialStatus.id)) {
+      violations.push('"credentialStatus.id" must be a URL.');
+    }
   }
-  if(typeof credentialStatus.statusListCredential !== 'string') {
-    throw new TypeError(
-      '"credentialStatus.statusListCredential" must be a string.');
+  const {indexProperty, credentialProperty} = rules;
+  if(typeof credentialStatus[credentialProperty] !== 'string') {
+    violations.push(
+      `"credentialStatus.${credentialProperty}" must be a string.`);
+  } else if(strict && !_isUrl(credentialStatus[credentialProperty])) {
+    violations.push(`"credentialStatus.${credentialProperty}" must be a URL.`);
   }
-  const index = parseInt(credentialStatus.statusListIndex, 10);
-  if(isNaN(index)) {
-    throw new TypeError('"statusListIndex" must be an integer.');
+  const index = credentialStatus[indexProperty];
+  if(isNaN(parseInt(index, 10))) {
+    violations.push(`"${indexProperty}" must be an integer.`);
+  } else if(strict && !(typeof index === 'string' && /^\d+$/.test(index))) {
+    violations.push(`"${indexProperty}" must be a string of decimal digits ` +
+      'that represents a non-negative integer.');
   }
-  if(credentialStatus.id === credentialStatus.statusListCredential) {
-    throw new Error('"credentialStatus.id" must not be ' +
-      '"credentialStatus.statusListCredential".');
+  if(credentialStatus.id === credentialStatus[credentialProperty]) {
+    violations.push('"credentialStatus.id" must not be ' +
+      `"credentialStatus.${credentialProperty}".`);
+  }
+  return violations;
+}
+
+/**
+ * Gets the violations of the consistency of the optional `statusSize` and
+ * `statusMessage` of a credentialStatus.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credentialStatus - A credentialStatus.
+ * @param {boolean} options.strict - Whether to also check the statements
+ *   that are only enforced in strict mode.
+ *
+ * @returns {Array<string>} The violations.
+ */
+function _getStatusSizeViolations({credentialStatus, strict}) {
+  const {statusSize = 1, statusMessage, statusPurpose} = credentialStatus;
+  if(!(Number.isInteger(statusSize) && statusSize > 0)) {
+    return ['"credentialStatus.statusSize" must be a positive integer.'];
+  }
+  if(statusMessage === undefined) {
+    if(statusSize > 1) {
+      return ['"credentialStatus.statusMessage" must be present when ' +
+        '"credentialStatus.statusSize" is greater than 1.'];
+    }
+    if(strict && statusPurpose === 'message') {
+      return ['"credentialStatus.statusMessage" must be present when ' +
+        '"credentialStatus.statusPurpose" is "message".'];
+    }
+    return [];
+  }
+  if(!isArrayOfObjects(statusMessage)) {
+    return ['"credentialStatus.statusMessage" must be an array of objects.'];
+  }
+  const violations = [];
+  if(statusMessage.length !== 2 ** statusSize) {
+    violations.push(
+      'The number of "credentialStatus.statusMessage" values must be ' +
+      `${2 ** statusSize} for a "statusSize" of ${statusSize}.`);
+  }
+  if(!statusMessage.every(({status}) =>
+    typeof status === 'string' && /^0x[0-9a-f]+$/i.test(status))) {
+    violations.push('"credentialStatus.statusMessage" "status" values must ' +
+      'be hexadecimal strings.');
+  }
+  if(!statusMessage.every(({message}) => typeof message === 'string')) {
+    violations.push('"credentialStatus.statusMessage" "message" values must ' +
+      'be strings.');
+  }
+  return violations;
+}
+
+/**
+ * Gets the violations of the normative statements about a decoded status
+ * list; the lists of all supported specs must have at least 131,072 bits
+ * (16KB) to provide group privacy.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.list - The decoded StatusList.
+ *
+ * @returns {Array<string>} The violations.
+ */
+function _getListViolations({list}) {
+  const bits = list.length * list.statusSize;
+  if(bits < MIN_LIST_BITS) {
+    return [`The status list must have at least ${MIN_LIST_BITS} bits; it ` +
+      `has ${bits}.`];
+  }
+  return [];
+}
+
+/**
+ * Gets the findings of `validateStatusListCredential` for the `encodedList`
+ * of a status list credential.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credentialSubject - The `credentialSubject` of the
+ *   status list credential.
+ * @param {object} options.rules - The status list rules for the credential.
+ *
+ * @returns {Promise<Array<object>>} The findings.
+ */
+async function _getEncodedListFindings({credentialSubject, rules}) {
+  const path = 'credentialSubject.encodedList';
+  const {encodedList} = credentialSubject;
+  if(!(encodedList && typeof encodedList === 'string')) {
+    return [{path, message: `"${path}" must be a string.`}];
+  }
+  const multibase = encodedList.startsWith(MULTIBASE_BASE64URL_HEADER);
+  if(rules.multibase && !multibase) {
+    return [{
+      path, message: `"${path}" must be a multibase base64url encoded ` +
+        `value starting with "${MULTIBASE_BASE64URL_HEADER}".`
+    }];
+  }
+  if(!rules.multibase && multibase) {
+    return [{path, message: `"${path}" must not be multibase encoded.`}];
+  }
+  let list;
+  try {
+    list = await decodeList({encodedList});
+  } catch(e) {
+    return [{
+      path, message: `"${path}" must be a GZIP compressed, base64url ` +
+        `encoded list; reason: ${e.message}`
+    }];
+  }
+  return _getListViolations({list}).map(message => ({path, message}));
+}
+
+function _assertConformingList({violations, credentialStatus}) {
+  if(violations.length > 0) {
+    throw new InvalidStatusListError(
+      'The status list does not conform to the specification: ' +
+      violations.join(' '), {credentialStatus, violations});
+  }
+}
+
+function _isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch(e) {
+    return false;
   }
-  return credentialStatus;
 }
 
 /**
@@ -349,26 +1248,145 @@ function _isObject({credential}) {
   }
 }
 
+/**
+ * Gets the status list rules that apply to a credential. Credentials that
+ * use the VC 2.0 context follow the Bitstring Status List rules, all others
+ * follow the Status List 2021 rules.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - A VC.
+ *
+ * @returns {object} The status list rules for the credential.
+ */
+function _getRules({credential}) {
+  const {'@context': contexts} = credential;
+  const firstContext = Array.isArray(contexts) ? contexts[0] : contexts;
+  if(firstContext === VC_V2_CONTEXT_URL) {
+    return BITSTRING_STATUS_LIST;
+  }
+  return STATUS_LIST_2021;
+}
+
+/**
+ * Gets the rules of every status entry type that may be used by a
+ * credential. VC 1.1 credentials may use both "StatusList2021Entry" and the
+ * legacy "RevocationList2020Status".
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - A VC.
+ *
+ * @returns {Array<object>} The status list rules for the credential's
+ *   status entries.
+ */
+function _getStatusRules({credential}) {
+  const rules = _getRules({credential});
+  if(rules === STATUS_LIST_2021) {
+    return [STATUS_LIST_2021, REVOCATION_LIST_2020];
+  }
+  return [rules];
+}
+
+/**
+ * Gets the status list rules that apply to a status entry based on its type.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credentialStatus - A credentialStatus.
+ *
+ * @returns {object} The status list rules for the entry.
+ */
+function _getEntryRules({credentialStatus}) {
+  return [STATUS_LIST_2021, BITSTRING_STATUS_LIST, REVOCATION_LIST_2020].find(
+    ({entryType}) => entryType === credentialStatus.type);
+}
+
 /**
  * Gets the statuses of a credential.
  *
  * @param {object} options - Options to use.
  * @param {object} options.credential - A VC with a credentialStatus.
+ * @param {Array<object>} [options.statusRules] - The rules of the status
+ *   entry types to get; defaults to all types the credential may use.
  *
- * @returns {Array<object>} An array of statuses with type
- *   "StatusList2021Entry" or an empty array if there are no matching types.
+ * @returns {Array<object>} An array of statuses with the entry types expected
+ *   for the credential (e.g., "StatusList2021Entry") or an empty array if
+ *   there are no matching types.
  */
-function _getStatuses({credential}) {
+function _getStatuses({
+  credential, statusRules = _getStatusRules({credential})
+}) {
+  const entryTypes = statusRules.map(({entryType}) => entryType);
   const {credentialStatus} = credential;
   if(Array.isArray(credentialStatus)) {
-    return credentialStatus.filter(cs => cs.type === 'StatusList2021Entry');
+    return credentialStatus.filter(cs => entryTypes.includes(cs.type));
   }
-  if(credentialStatus && credentialStatus.type === 'StatusList2021Entry') {
+  if(credentialStatus && entryTypes.includes(credentialStatus.type)) {
     return [credentialStatus];
   }
   return [];
 }
 
+/**
+ * Ensures a status list credential is valid at the given date and, if a
+ * `maxAge` is given, not older than `maxAge`. Both the VC 1.1
+ * (`issuanceDate`, `expirationDate`) and the VC 2.0 (`validFrom`,
+ * `validUntil`) properties are checked when present.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.slCredential - A status list credential.
+ * @param {Date} options.now - The current date.
+ * @param {number} [options.maxAge] - The maximum age in milliseconds.
+ * @param {object} [options.credentialStatus] - The status entry to report
+ *   in errors.
+ *
+ * @throws - An error if the status list credential is not yet valid,
+ *   expired or stale.
+ */
+function _checkValidityPeriod({
+  slCredential, now, maxAge, credentialStatus
+}) {
+  const dates = {};
+  for(const property of
+    ['issuanceDate', 'validFrom', 'expirationDate', 'validUntil']) {
+    if(slCredential[property] === undefined) {
+      continue;
+    }
+    const date = new Date(slCredential[property]);
+    if(typeof slCredential[property] !== 'string' || isNaN(date)) {
+      throw new InvalidStatusListError(
+        `Status list credential "${property}" must be a valid date.`,
+        {credentialStatus});
+    }
+    dates[property] = date;
+  }
+  for(const property of ['issuanceDate', 'validFrom']) {
+    if(dates[property] && dates[property] > now) {
+      throw new StatusListValidityError(
+        'Status list credential is not valid before ' +
+        `"${slCredential[property]}" ("${property}").`, {credentialStatus});
+    }
+  }
+  for(const property of ['expirationDate', 'validUntil']) {
+    if(dates[property] && dates[property] <= now) {
+      throw new StatusListValidityError(
+        'Status list credential has expired at ' +
+        `"${slCredential[property]}" ("${property}").`, {credentialStatus});
+    }
+  }
+  if(maxAge !== undefined) {
+    const issued = dates.validFrom || dates.issuanceDate;
+    if(!issued) {
+      throw new StatusListValidityError(
+        'Status list credential age is unknown; it has no ' +
+        '"validFrom" or "issuanceDate".', {credentialStatus});
+    }
+    if(now - issued > maxAge) {
+      throw new StatusListValidityError(
+        'Status list credential is older than the maximum ' +
+        `age of ${maxAge} ms.`, {credentialStatus});
+    }
+  }
+}
+
 function isArrayOfObjects(x) {
   return Array.isArray(x) && x.length > 0 &&
     x.every(x => x && typeof x === 'object');
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+const SEVERITIES = ['fatal', 'warning', 'informational'];
+
+/**
+ * The default verification policy. A set status is fatal for `revocation`
+ * and `suspension`, informational for `message` and fatal for any other
+ * status purpose.
+ */
+export const DEFAULT_STATUS_POLICY = Object.freeze({
+  fatal: Object.freeze(['revocation', 'suspension']),
+  warning: Object.freeze([]),
+  informational: Object.freeze(['message']),
+  unknown: 'fatal'
+});
+
+/**
+ * Ensures a verification policy is well formed. Each of `fatal`, `warning`
+ * and `informational` is an optional array of status purposes and a status
+ * purpose can only be listed once; `unknown` is the optional severity of
+ * status purposes that are not listed.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.policy - A verification policy.
+ *
+ * @throws {TypeError} If the policy is invalid.
+ */
+export function assertPolicy({policy}) {
+  if(!(policy && typeof policy === 'object' && !Array.isArray(policy))) {
+    throw new TypeError('"policy" must be an object.');
+  }
+  const seen = new Set();
+  for(const severity of SEVERITIES) {
+    const statusPurposes = policy[severity];
+    if(statusPurposes === undefined) {
+      continue;
+    }
+    if(!(Array.isArray(statusPurposes) &&
+      statusPurposes.every(p => typeof p === 'string'))) {
+      throw new TypeError(
+        `"policy.${severity}" must be an array of strings.`);
+    }
+    for(const statusPurpose of statusPurposes) {
+      if(seen.has(statusPurpose)) {
+        throw new TypeError(`Status purpose "${statusPurpose}" must only ` +
+          'be listed once in "policy".');
+      }
+      seen.add(statusPurpose);
+    }
+  }
+  if(policy.unknown !== undefined && !SEVERITIES.includes(policy.unknown)) {
+    throw new TypeError(
+      `"policy.unknown" must be one of ${SEVERITIES.join(', ')}.`);
+  }
+}
+
+/**
+ * Gets the severity of a set status for a status purpose. Purposes listed
+ * in the given policy take precedence over the default policy.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.policy] - A verification policy.
+ * @param {string} options.statusPurpose - A status purpose.
+ *
+ * @returns {'fatal'|'warning'|'informational'} The severity.
+ */
+export function getSeverity({policy = {}, statusPurpose}) {
+  for(const p of [policy, DEFAULT_STATUS_POLICY]) {
+    const severity = SEVERITIES.find(
+      s => p[s] && p[s].includes(statusPurpose));
+    if(severity) {
+      return severity;
+    }
+  }
+  return policy.unknown || DEFAULT_STATUS_POLICY.unknown;
+}
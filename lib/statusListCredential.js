@@ -0,0 +1,414 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import credentialsCtx from 'credentials-context';
+import statusListCtx from '@digitalbazaar/vc-status-list-context';
+import {issue as vcIssue} from '@digitalcredentials/vc';
+
+export const VC_V1_CONTEXT_URL =
+  credentialsCtx.constants.CREDENTIALS_CONTEXT_V1_URL;
+export const VC_V2_CONTEXT_URL = 'https://www.w3.org/ns/credentials/v2';
+export const SL_V1_CONTEXT_URL = statusListCtx.constants.CONTEXT_URL_V1;
+export const RL_V1_CONTEXT_URL = 'https://w3id.org/vc-revocation-list-2020/v1';
+// multibase header for base64url (no padding) encoded values
+export const MULTIBASE_BASE64URL_HEADER = 'u';
+// the vocabulary of the terms this library adds to credentials
+const VOCAB_URL = 'https://github.com/Sphereon-Opensource/vc-status-list#';
+// defines the `statusListChain` of a status list credential as a JSON
+// literal so that credentials committing to a `StatusListChain` can be signed
+export const STATUS_LIST_CHAIN_CONTEXT = {
+  '@context': {
+    statusListChain: {'@id': `${VOCAB_URL}statusListChain`, '@type': '@json'}
+  }
+};
+// defines the terms of a `StatusListBundleCredential`; the bundled status
+// list credentials are kept as a JSON literal
+export const STATUS_LIST_BUNDLE_CONTEXT = {
+  '@context': {
+    StatusListBundleCredential: `${VOCAB_URL}StatusListBundleCredential`,
+    snapshotDate: {
+      '@id': `${VOCAB_URL}snapshotDate`,
+      '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+    },
+    statusListCredentials: {
+      '@id': `${VOCAB_URL}statusListCredentials`,
+      '@type': '@json'
+    }
+  }
+};
+export const STATUS_LIST_BUNDLE_TYPE = 'StatusListBundleCredential';
+
+// the rules for each supported status list flavor; the rules that apply to a
+// particular credential are selected by its first `@context` value and the
+// rules for each of its status entries by the entry's type
+export const STATUS_LIST_2021 = {
+  contexts: [VC_V1_CONTEXT_URL, SL_V1_CONTEXT_URL],
+  credentialType: 'StatusList2021Credential',
+  listType: 'StatusList2021',
+  entryType: 'StatusList2021Entry',
+  indexProperty: 'statusListIndex',
+  credentialProperty: 'statusListCredential',
+  multibase: false,
+  leftToRightIndexing: false
+};
+// index 0 of a `BitstringStatusList` is the left-most bit of the list
+export const BITSTRING_STATUS_LIST = {
+  contexts: [VC_V2_CONTEXT_URL],
+  credentialType: 'BitstringStatusListCredential',
+  listType: 'BitstringStatusList',
+  entryType: 'BitstringStatusListEntry',
+  indexProperty: 'statusListIndex',
+  credentialProperty: 'statusListCredential',
+  multibase: true,
+  leftToRightIndexing: true
+};
+// legacy lists; they have no `statusPurpose`, every entry is a revocation
+export const REVOCATION_LIST_2020 = {
+  contexts: [VC_V1_CONTEXT_URL, RL_V1_CONTEXT_URL],
+  credentialType: 'RevocationList2020Credential',
+  listType: 'RevocationList2020',
+  entryType: 'RevocationList2020Status',
+  indexProperty: 'revocationListIndex',
+  credentialProperty: 'revocationListCredential',
+  statusPurpose: 'revocation',
+  multibase: false,
+  leftToRightIndexing: false
+};
+// the status list credentials that can be created
+export const STATUS_LIST_TYPES = [STATUS_LIST_2021, BITSTRING_STATUS_LIST];
+
+/**
+ * Creates a StatusList Credential.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The id for StatusList Credential.
+ * @param {object} options.list - An instance of StatusList.
+ * @param {string} options.statusPurpose - The purpose of the status entry.
+ * @param {string} [options.type='StatusList2021Credential'] - The type of
+ *   status list credential to create, either "StatusList2021Credential" or
+ *   "BitstringStatusListCredential".
+ * @param {string|object} [options.issuer] - The issuer, a URL or an object
+ *   with an `id`.
+ * @param {Date|string} [options.validFrom] - The `issuanceDate` (or
+ *   `validFrom` for a "BitstringStatusListCredential").
+ * @param {Date|string} [options.validUntil] - The `expirationDate` (or
+ *   `validUntil` for a "BitstringStatusListCredential").
+ * @param {number} [options.ttl] - The time to live of the list in
+ *   milliseconds; only a "BitstringStatusListCredential" defines it.
+ * @param {string} [options.name] - The name of the credential.
+ * @param {string} [options.description] - The description of the
+ *   credential.
+ * @param {Array<string>} [options.contexts] - Additional `@context` URLs,
+ *   such as the context of the signature suite.
+ * @param {Array<string>} [options.types] - Additional credential types.
+ * @param {object} [options.chain] - A `StatusListChain` to append the list
+ *   to; its head link is published as `credentialSubject.statusListChain`.
+ *
+ * @returns {object} The resulting `StatusList Credential`.
+ */
+export async function createCredential({
+  id, list, statusPurpose, type = STATUS_LIST_2021.credentialType, issuer,
+  validFrom, validUntil, ttl, name, description, contexts = [], types = [],
+  chain
+}) {
+  if(!(id && typeof id === 'string')) {
+    throw new TypeError('"id" is required.');
+  }
+  if(!(list && typeof list.encode === 'function')) {
+    throw new TypeError('"list" is required.');
+  }
+  if(!(statusPurpose && typeof statusPurpose === 'string')) {
+    throw new TypeError('"statusPurpose" is required.');
+  }
+  const rules = STATUS_LIST_TYPES.find(r => r.credentialType === type);
+  if(!rules) {
+    throw new TypeError(
+      '"type" must be one of ' +
+      `${STATUS_LIST_TYPES.map(r => `"${r.credentialType}"`).join(', ')}.`);
+  }
+  if(issuer !== undefined && !(
+    (issuer && typeof issuer === 'string') ||
+    (issuer && typeof issuer === 'object' && !Array.isArray(issuer) &&
+      issuer.id && typeof issuer.id === 'string'))) {
+    throw new TypeError(
+      '"issuer" must be a string or an object with a string "id".');
+  }
+  const from = _toDate({date: validFrom, name: 'validFrom'});
+  const until = _toDate({date: validUntil, name: 'validUntil'});
+  if(from && until && until < from) {
+    throw new TypeError('"validUntil" must not be before "validFrom".');
+  }
+  if(ttl !== undefined && !(Number.isInteger(ttl) && ttl >= 0)) {
+    throw new TypeError('"ttl" must be a non-negative integer.');
+  }
+  const v2 = rules.contexts[0] === VC_V2_CONTEXT_URL;
+  // the StatusList2021 context does not define `ttl`
+  if(ttl !== undefined && !v2) {
+    throw new TypeError('"ttl" is only supported for a ' +
+      `"${BITSTRING_STATUS_LIST.credentialType}".`);
+  }
+  for(const [key, value] of Object.entries({name, description})) {
+    if(value !== undefined && typeof value !== 'string') {
+      throw new TypeError(`"${key}" must be a string.`);
+    }
+  }
+  for(const [key, value] of Object.entries({contexts, types})) {
+    if(!(Array.isArray(value) &&
+      value.every(v => v && typeof v === 'string'))) {
+      throw new TypeError(`"${key}" must be an array of strings.`);
+    }
+  }
+  _assertChain({chain});
+  let encodedList = await list.encode(
+    {leftToRightIndexing: rules.leftToRightIndexing});
+  if(rules.multibase) {
+    encodedList = `${MULTIBASE_BASE64URL_HEADER}${encodedList}`;
+  }
+  const credential = {
+    '@context': [...new Set([...rules.contexts, ...contexts])],
+    id,
+    type: [...new Set(['VerifiableCredential', rules.credentialType, ...types])]
+  };
+  if(issuer !== undefined) {
+    credential.issuer = issuer;
+  }
+  if(from) {
+    credential[v2 ? 'validFrom' : 'issuanceDate'] = _toDateTime(validFrom);
+  }
+  if(until) {
+    credential[v2 ? 'validUntil' : 'expirationDate'] = _toDateTime(validUntil);
+  }
+  if(name !== undefined) {
+    credential.name = name;
+  }
+  if(description !== undefined) {
+    credential.description = description;
+  }
+  credential.credentialSubject = {
+    id: `${id}#list`,
+    type: rules.listType,
+    encodedList,
+    statusPurpose
+  };
+  if(ttl !== undefined) {
+    credential.credentialSubject.ttl = ttl;
+  }
+  if(chain !== undefined) {
+    await _appendToChain({credential, chain});
+  }
+  return credential;
+}
+
+/**
+ * Issues a signed status list credential for a list. The credential is
+ * valid from `now`; issuing it again after changing the list produces a
+ * credential with the new statuses and bumped dates.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The id for the status list credential.
+ * @param {object} options.list - An instance of StatusList.
+ * @param {string} options.statusPurpose - The purpose of the status entry.
+ * @param {string|object} options.issuer - The issuer of the credential.
+ * @param {object} options.suite - The suite, with a signing key, to sign the
+ *   credential with.
+ * @param {Function} options.documentLoader - A document loader.
+ * @param {string} [options.type='StatusList2021Credential'] - The type of
+ *   status list credential to issue; only "StatusList2021Credential" can be
+ *   signed.
+ * @param {Date|string} [options.validUntil] - The `expirationDate` of the
+ *   credential.
+ * @param {Date} [options.now=new Date()] - The issuance date.
+ * @param {string} [options.name] - The name of the credential.
+ * @param {string} [options.description] - The description of the
+ *   credential.
+ * @param {Array<string>} [options.contexts] - Additional `@context` URLs.
+ * @param {Array<string>} [options.types] - Additional credential types.
+ * @param {object} [options.chain] - A `StatusListChain` to append the list
+ *   to.
+ *
+ * @returns {Promise<object>} The signed status list credential.
+ */
+export async function issueStatusListCredential({
+  id, list, statusPurpose, issuer, suite, documentLoader,
+  type = STATUS_LIST_2021.credentialType, validUntil, now = new Date(),
+  name, description, contexts, types, chain
+}) {
+  if(type !== STATUS_LIST_2021.credentialType) {
+    throw new TypeError(
+      `"type" must be "${STATUS_LIST_2021.credentialType}" to sign a ` +
+      'status list credential.');
+  }
+  if(!issuer) {
+    throw new TypeError('"issuer" is required.');
+  }
+  const credential = await createCredential({
+    id, list, statusPurpose, type, issuer, name, description, contexts, types,
+    chain
+  });
+  return _sign({credential, suite, documentLoader, validUntil, now});
+}
+
+/**
+ * Re-issues a status list credential with the current statuses of its list
+ * and bumped dates. The previous proof is replaced and, unless `validUntil`
+ * is given, the credential keeps its validity period length.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.credential - The status list credential.
+ * @param {object} [options.list] - The updated StatusList; the encoded list
+ *   of the credential is kept if not given.
+ * @param {object} options.suite - The suite, with a signing key, to sign the
+ *   credential with.
+ * @param {Function} options.documentLoader - A document loader.
+ * @param {Date|string} [options.validUntil] - The new `expirationDate` of
+ *   the credential.
+ * @param {Date} [options.now=new Date()] - The new issuance date.
+ * @param {object} [options.chain] - The `StatusListChain` of the
+ *   credential; required to change the list of a credential that has a
+ *   `statusListChain`.
+ *
+ * @returns {Promise<object>} The signed status list credential.
+ */
+export async function refreshStatusListCredential({
+  credential, list, suite, documentLoader, validUntil, now = new Date(),
+  chain
+}) {
+  if(!(credential && typeof credential === 'object')) {
+    throw new TypeError('"credential" must be an object.');
+  }
+  if(!(Array.isArray(credential.type) &&
+    credential.type.includes(STATUS_LIST_2021.credentialType))) {
+    throw new TypeError(
+      `"credential.type" must include "${STATUS_LIST_2021.credentialType}".`);
+  }
+  _assertChain({chain});
+  if(list !== undefined && chain === undefined &&
+    credential.credentialSubject &&
+    credential.credentialSubject.statusListChain !== undefined) {
+    throw new TypeError(
+      '"chain" is required to change the list of a credential with a ' +
+      '"statusListChain".');
+  }
+  const refreshed = {...credential};
+  delete refreshed.proof;
+  refreshed.credentialSubject = {...credential.credentialSubject};
+  if(list !== undefined) {
+    refreshed.credentialSubject.encodedList = await list.encode();
+  }
+  if(chain !== undefined) {
+    await _appendToChain({credential: refreshed, chain});
+  }
+  const {issuanceDate, expirationDate} = credential;
+  if(validUntil === undefined && expirationDate !== undefined) {
+    const validFor = new Date(expirationDate) - new Date(issuanceDate);
+    if(!isNaN(validFor)) {
+      validUntil = new Date(now.getTime() + validFor);
+    }
+  }
+  delete refreshed.expirationDate;
+  return _sign({
+    credential: refreshed, suite, documentLoader, validUntil, now
+  });
+}
+
+/**
+ * Issues a signed bundle of status list credentials, such as the lists of a
+ * set of issuers, for verifiers without connectivity; see
+ * `StatusListBundle`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<object>} options.credentials - The status list credentials,
+ *   each with a unique `id`.
+ * @param {string|object} options.issuer - The issuer of the bundle.
+ * @param {object} options.suite - The suite, with a signing key, to sign the
+ *   bundle with.
+ * @param {Function} options.documentLoader - A document loader.
+ * @param {Date|string} [options.snapshotDate=now] - When the status list
+ *   credentials were collected.
+ * @param {Date|string} [options.validUntil] - The `expirationDate` of the
+ *   bundle.
+ * @param {Date} [options.now=new Date()] - The issuance date.
+ *
+ * @returns {Promise<object>} The signed `StatusListBundleCredential`.
+ */
+export async function createStatusListBundle({
+  credentials, issuer, suite, documentLoader, snapshotDate, validUntil,
+  now = new Date()
+}) {
+  if(!(Array.isArray(credentials) && credentials.length > 0 &&
+    credentials.every(c => c && typeof c === 'object' &&
+      c.id && typeof c.id === 'string') &&
+    new Set(credentials.map(({id}) => id)).size === credentials.length)) {
+    throw new TypeError(
+      '"credentials" must be a non-empty array of status list credentials ' +
+      'with unique ids.');
+  }
+  if(!issuer) {
+    throw new TypeError('"issuer" is required.');
+  }
+  const snapshot = _toDate({date: snapshotDate, name: 'snapshotDate'}) || now;
+  const credential = {
+    '@context': [VC_V1_CONTEXT_URL, STATUS_LIST_BUNDLE_CONTEXT],
+    type: ['VerifiableCredential', STATUS_LIST_BUNDLE_TYPE],
+    issuer,
+    credentialSubject: {
+      snapshotDate: _toDateTime(snapshot),
+      statusListCredentials: credentials
+    }
+  };
+  return _sign({credential, suite, documentLoader, validUntil, now});
+}
+
+async function _sign({credential, suite, documentLoader, validUntil, now}) {
+  if(!(now instanceof Date && !isNaN(now))) {
+    throw new TypeError('"now" must be a valid Date.');
+  }
+  credential.issuanceDate = _toDateTime(now);
+  if(validUntil !== undefined) {
+    const date = new Date(validUntil);
+    if(isNaN(date)) {
+      throw new TypeError('"validUntil" must be a valid date.');
+    }
+    credential.expirationDate = _toDateTime(date);
+  }
+  return vcIssue({credential, suite, documentLoader, now});
+}
+
+function _assertChain({chain}) {
+  if(chain !== undefined && !(chain && typeof chain.append === 'function')) {
+    throw new TypeError('"chain" must be a "StatusListChain".');
+  }
+}
+
+async function _appendToChain({credential, chain}) {
+  const {credentialSubject} = credential;
+  credentialSubject.statusListChain = await chain.append(
+    {encodedList: credentialSubject.encodedList});
+  // a credential that was already in a chain may have been parsed from JSON
+  const chainContext = JSON.stringify(STATUS_LIST_CHAIN_CONTEXT);
+  if(!credential['@context'].some(c => JSON.stringify(c) === chainContext)) {
+    credential['@context'] = [
+      ...credential['@context'], STATUS_LIST_CHAIN_CONTEXT
+    ];
+  }
+}
+
+function _toDate({date, name}) {
+  if(date === undefined) {
+    return;
+  }
+  const result = new Date(date);
+  if(!((date instanceof Date || typeof date === 'string') && !isNaN(result))) {
+    throw new TypeError(`"${name}" must be a valid date.`);
+  }
+  return result;
+}
+
+// XML schema date time with seconds precision as used by `issuanceDate`;
+// date time strings are kept as given
+function _toDateTime(date) {
+  if(typeof date === 'string') {
+    return date;
+  }
+  return `${date.toISOString().slice(0, -5)}Z`;
+}
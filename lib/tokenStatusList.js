@@ -0,0 +1,494 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from '@digitalcredentials/base64url-universal';
+import * as cborg from 'cborg';
+import {StatusList} from './StatusList.js';
+
+const STATUS_LIST_JWT_TYPE = 'statuslist+jwt';
+const STATUS_LIST_CWT_TYPE = 'statuslist+cwt';
+
+// CWT claim keys
+const CWT_CLAIMS = {
+  sub: 2,
+  exp: 4,
+  iat: 6,
+  status_list: 65533,
+  ttl: 65534
+};
+// COSE header parameter keys
+const COSE_HEADER = {
+  alg: 1,
+  kid: 4,
+  typ: 16
+};
+// COSE algorithm identifiers for common JOSE algorithm names
+const COSE_ALGORITHMS = new Map([
+  ['ES256', -7],
+  ['ES384', -35],
+  ['ES512', -36],
+  ['EdDSA', -8],
+  ['PS256', -37]
+]);
+// COSE_Sign1 tag; tagged and untagged messages are accepted
+const COSE_SIGN1_TAG = 18;
+
+const JWT_FORMAT = {type: STATUS_LIST_JWT_TYPE, parse: _parseJwt};
+const CWT_FORMAT = {type: STATUS_LIST_CWT_TYPE, parse: _parseCwt};
+
+/**
+ * The status values registered by the IETF Token Status List spec.
+ *
+ * @see https://datatracker.ietf.org/doc/draft-ietf-oauth-status-list/
+ */
+export const TOKEN_STATUS = Object.freeze({
+  VALID: 0x00,
+  INVALID: 0x01,
+  SUSPENDED: 0x02
+});
+
+/**
+ * Creates a signed Status List Token in JWT format (`statuslist+jwt`).
+ *
+ * @param {object} options - Options to use.
+ * @param {StatusList} options.list - An instance of StatusList with a
+ *   `statusSize` of 1, 2, 4 or 8 bits.
+ * @param {string} options.uri - The URI the token will be published at,
+ *   used as its `sub` claim.
+ * @param {object} options.signer - A signer with `algorithm`, an optional
+ *   `id` (used as `kid`) and a `sign({data})` function.
+ * @param {Date} [options.issuedAt=new Date()] - The `iat` of the token.
+ * @param {Date} [options.expiresAt] - The `exp` of the token.
+ * @param {number} [options.ttl] - How long, in seconds, the token may be
+ *   cached before it should be fetched again.
+ * @param {string} [options.aggregationUri] - The URI to retrieve all status
+ *   lists of the issuer from.
+ *
+ * @returns {Promise<string>} The compact serialization of the token.
+ */
+export async function createStatusListToken({
+  list, uri, signer, issuedAt = new Date(), expiresAt, ttl, aggregationUri
+} = {}) {
+  if(!(list && typeof list.encodeTokenList === 'function')) {
+    throw new TypeError('"list" is required.');
+  }
+  if(!(uri && typeof uri === 'string')) {
+    throw new TypeError('"uri" is required.');
+  }
+  if(!(signer && typeof signer.sign === 'function' &&
+    typeof signer.algorithm === 'string')) {
+    throw new TypeError(
+      '"signer" must be an object with "algorithm" and "sign".');
+  }
+  if(ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+    throw new TypeError('"ttl" must be a positive integer.');
+  }
+  const header = {alg: signer.algorithm, typ: STATUS_LIST_JWT_TYPE};
+  if(signer.id) {
+    header.kid = signer.id;
+  }
+  const payload = {
+    sub: uri,
+    iat: _toNumericDate({date: issuedAt, name: 'issuedAt'}),
+    status_list: {
+      bits: list.statusSize,
+      lst: await list.encodeTokenList()
+    }
+  };
+  if(expiresAt !== undefined) {
+    payload.exp = _toNumericDate({date: expiresAt, name: 'expiresAt'});
+  }
+  if(ttl !== undefined) {
+    payload.ttl = ttl;
+  }
+  if(aggregationUri !== undefined) {
+    payload.status_list.aggregation_uri = aggregationUri;
+  }
+  const data = `${_encodeJson(header)}.${_encodeJson(payload)}`;
+  const signature = await signer.sign({data: new TextEncoder().encode(data)});
+  return `${data}.${base64url.encode(signature)}`;
+}
+
+/**
+ * Decodes a Status List Token in JWT format. The signature is not verified.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.token - The compact serialization of the token.
+ *
+ * @returns {Promise<{header: object, payload: object, list: StatusList}>}
+ *   The decoded token and its status list.
+ */
+export async function decodeStatusListToken({token} = {}) {
+  const {header, payload, claims} = _parseJwt({token});
+  const list = await _decodeClaimsList({claims});
+  return {header, payload, list};
+}
+
+/**
+ * Checks the status of a Referenced Token (e.g., an SD-JWT VC) that refers
+ * to a Status List Token via its `status.status_list` claim.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.claims - The claims of the Referenced Token.
+ * @param {Function} options.documentLoader - A loader that resolves the
+ *   `uri` of the status list to `{document}` where `document` is the
+ *   compact serialization of the Status List Token.
+ * @param {object} [options.verifier] - A verifier with a
+ *   `verify({data, signature})` function; required when
+ *   `verifyStatusListToken` is set.
+ * @param {boolean} [options.verifyStatusListToken=true] - Whether to verify
+ *   the signature of the Status List Token.
+ * @param {Date|Function} [options.now=new Date()] - The current date, or a
+ *   function that returns it, to check the `exp` of the Status List Token
+ *   against.
+ *
+ * @returns {Promise<{verified: boolean, status: number, error: Error}>}
+ *   The status value of the Referenced Token; `verified` is only `true` for
+ *   a `VALID` status.
+ */
+export async function checkTokenStatus({
+  claims,
+  documentLoader,
+  verifier,
+  verifyStatusListToken = true,
+  now
+} = {}) {
+  let result;
+  try {
+    if(!(claims && typeof claims === 'object')) {
+      throw new TypeError('"claims" must be an object.');
+    }
+    result = await _checkTokenStatus({
+      status: claims.status,
+      documentLoader,
+      verifier,
+      verifyStatusListToken,
+      now,
+      format: JWT_FORMAT
+    });
+  } catch(error) {
+    result = {
+      verified: false,
+      error
+    };
+  }
+  return result;
+}
+
+/**
+ * Creates a signed Status List Token in CWT format (`statuslist+cwt`), as
+ * used by ISO mdoc credentials.
+ *
+ * @param {object} options - Options to use.
+ * @param {StatusList} options.list - An instance of StatusList with a
+ *   `statusSize` of 1, 2, 4 or 8 bits.
+ * @param {string} options.uri - The URI the token will be published at,
+ *   used as its `sub` claim.
+ * @param {object} options.signer - A signer with `algorithm` (a JOSE
+ *   algorithm name or a COSE algorithm identifier), an optional `id` (used
+ *   as `kid`) and a `sign({data})` function.
+ * @param {Date} [options.issuedAt=new Date()] - The `iat` of the token.
+ * @param {Date} [options.expiresAt] - The `exp` of the token.
+ * @param {number} [options.ttl] - How long, in seconds, the token may be
+ *   cached before it should be fetched again.
+ * @param {string} [options.aggregationUri] - The URI to retrieve all status
+ *   lists of the issuer from.
+ *
+ * @returns {Promise<Uint8Array>} The `COSE_Sign1` encoded token.
+ */
+export async function createStatusListCwt({
+  list, uri, signer, issuedAt = new Date(), expiresAt, ttl, aggregationUri
+} = {}) {
+  if(!(list && typeof list.toTokenStatusList === 'function')) {
+    throw new TypeError('"list" is required.');
+  }
+  if(!(uri && typeof uri === 'string')) {
+    throw new TypeError('"uri" is required.');
+  }
+  if(!(signer && typeof signer.sign === 'function')) {
+    throw new TypeError(
+      '"signer" must be an object with "algorithm" and "sign".');
+  }
+  const alg = typeof signer.algorithm === 'number' ?
+    signer.algorithm : COSE_ALGORITHMS.get(signer.algorithm);
+  if(alg === undefined) {
+    throw new TypeError(
+      `Unsupported "signer.algorithm" "${signer.algorithm}".`);
+  }
+  if(ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+    throw new TypeError('"ttl" must be a positive integer.');
+  }
+  const header = new Map([
+    [COSE_HEADER.alg, alg],
+    [COSE_HEADER.typ, `application/${STATUS_LIST_CWT_TYPE}`]
+  ]);
+  if(signer.id) {
+    header.set(COSE_HEADER.kid, new TextEncoder().encode(signer.id));
+  }
+  const payload = new Map([
+    [CWT_CLAIMS.sub, uri],
+    [CWT_CLAIMS.iat, _toNumericDate({date: issuedAt, name: 'issuedAt'})],
+    [CWT_CLAIMS.status_list, await list.toTokenStatusList({aggregationUri})]
+  ]);
+  if(expiresAt !== undefined) {
+    payload.set(
+      CWT_CLAIMS.exp, _toNumericDate({date: expiresAt, name: 'expiresAt'}));
+  }
+  if(ttl !== undefined) {
+    payload.set(CWT_CLAIMS.ttl, ttl);
+  }
+  const protectedHeader = cborg.encode(header);
+  const encodedPayload = cborg.encode(payload);
+  const signature = await signer.sign({
+    data: _createSigStructure({protectedHeader, payload: encodedPayload})
+  });
+  return cborg.encode(
+    [protectedHeader, new Map(), encodedPayload, new Uint8Array(signature)]);
+}
+
+/**
+ * Decodes a Status List Token in CWT format. The signature is not verified.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.cwt - The `COSE_Sign1` encoded token.
+ *
+ * @returns {Promise<{header: Map, payload: Map, list: StatusList}>} The
+ *   decoded protected header and claims, keyed by their integer labels, and
+ *   the status list.
+ */
+export async function decodeStatusListCwt({cwt} = {}) {
+  const {header, payload, claims} = _parseCwt({token: cwt});
+  const list = await _decodeClaimsList({claims});
+  return {header, payload, list};
+}
+
+/**
+ * Checks the status of an ISO mdoc credential whose mobile security object
+ * refers to a Status List Token in CWT format via its `status` structure.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.status - The `status` structure of the mdoc, i.e.
+ *   `{status_list: {idx, uri}}`.
+ * @param {Function} options.documentLoader - A loader that resolves the
+ *   `uri` of the status list to `{document}` where `document` is the
+ *   `COSE_Sign1` encoded Status List Token.
+ * @param {object} [options.verifier] - A verifier with a
+ *   `verify({data, signature})` function; required when
+ *   `verifyStatusListToken` is set.
+ * @param {boolean} [options.verifyStatusListToken=true] - Whether to verify
+ *   the signature of the Status List Token.
+ * @param {Date|Function} [options.now=new Date()] - The current date, or a
+ *   function that returns it, to check the `exp` of the Status List Token
+ *   against.
+ *
+ * @returns {Promise<{verified: boolean, status: number, error: Error}>}
+ *   The status value of the mdoc; `verified` is only `true` for a `VALID`
+ *   status.
+ */
+export async function checkMdocStatus({
+  status,
+  documentLoader,
+  verifier,
+  verifyStatusListToken = true,
+  now
+} = {}) {
+  let result;
+  try {
+    result = await _checkTokenStatus({
+      status,
+      documentLoader,
+      verifier,
+      verifyStatusListToken,
+      now,
+      format: CWT_FORMAT
+    });
+  } catch(error) {
+    result = {
+      verified: false,
+      error
+    };
+  }
+  return result;
+}
+
+async function _checkTokenStatus({
+  status,
+  documentLoader,
+  verifier,
+  verifyStatusListToken,
+  now = new Date(),
+  format
+}) {
+  if(typeof now === 'function') {
+    now = now();
+  }
+  if(!(now instanceof Date && !isNaN(now))) {
+    throw new TypeError('"now" must be a valid Date or a function ' +
+      'returning one.');
+  }
+  if(typeof documentLoader !== 'function') {
+    throw new TypeError('"documentLoader" must be a function.');
+  }
+  if(verifyStatusListToken &&
+    !(verifier && typeof verifier.verify === 'function')) {
+    throw new TypeError('"verifier" must be an object with "verify".');
+  }
+  const {idx, uri} = _getStatusListReference({status});
+
+  // retrieve status list token
+  let token;
+  try {
+    ({document: token} = await documentLoader(uri));
+  } catch(e) {
+    const err = new Error(
+      `Could not load "${format.type}"; reason: ${e.message}`);
+    err.cause = e;
+    throw err;
+  }
+
+  // verify status list token
+  const {data, signature, claims} = format.parse({token});
+  if(verifyStatusListToken) {
+    const verified = await verifier.verify({data, signature});
+    if(!verified) {
+      throw new Error(`"${format.type}" not verified.`);
+    }
+  }
+
+  if(claims.sub !== uri) {
+    throw new Error(
+      `The "sub" "${claims.sub}" of the status list token does not match ` +
+      `the "uri" "${uri}" in the referenced token.`);
+  }
+  if(claims.exp !== undefined && claims.exp * 1000 <= now.getTime()) {
+    throw new Error('The status list token has expired.');
+  }
+
+  const list = await _decodeClaimsList({claims});
+  const value = Number(list.getStatus(idx));
+  return {verified: value === TOKEN_STATUS.VALID, status: value};
+}
+
+function _getStatusListReference({status}) {
+  const {status_list: reference} = status || {};
+  if(!(reference && typeof reference === 'object')) {
+    throw new Error('"status.status_list" claim is missing or invalid.');
+  }
+  const {idx, uri} = reference;
+  if(!(Number.isInteger(idx) && idx >= 0)) {
+    throw new TypeError(
+      '"status.status_list.idx" must be a non-negative integer.');
+  }
+  if(!(uri && typeof uri === 'string')) {
+    throw new TypeError('"status.status_list.uri" must be a string.');
+  }
+  return {idx, uri};
+}
+
+async function _decodeClaimsList({claims}) {
+  const {statusList} = claims;
+  if(!(statusList && typeof statusList === 'object')) {
+    throw new Error('"status_list" claim is missing or invalid.');
+  }
+  return StatusList.decodeTokenList(
+    {lst: statusList.lst, bits: statusList.bits});
+}
+
+function _parseJwt({token}) {
+  if(typeof token !== 'string') {
+    throw new TypeError('"token" must be a string.');
+  }
+  const parts = token.split('.');
+  if(parts.length !== 3) {
+    throw new Error('"token" must be a compact JWT.');
+  }
+  let header;
+  let payload;
+  try {
+    header = _decodeJson(parts[0]);
+    payload = _decodeJson(parts[1]);
+  } catch(e) {
+    const err = new Error(`Could not parse "token"; reason: ${e.message}`);
+    err.cause = e;
+    throw err;
+  }
+  if(header.typ !== STATUS_LIST_JWT_TYPE &&
+    header.typ !== `application/${STATUS_LIST_JWT_TYPE}`) {
+    throw new Error(`"typ" must be "${STATUS_LIST_JWT_TYPE}".`);
+  }
+  return {
+    header,
+    payload,
+    claims: {
+      sub: payload.sub,
+      exp: payload.exp,
+      statusList: payload.status_list
+    },
+    data: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+    signature: base64url.decode(parts[2])
+  };
+}
+
+function _parseCwt({token}) {
+  if(!(token instanceof Uint8Array)) {
+    throw new TypeError('"cwt" must be a Uint8Array.');
+  }
+  let protectedHeader;
+  let encodedPayload;
+  let signature;
+  let header;
+  let payload;
+  try {
+    const tags = [];
+    tags[COSE_SIGN1_TAG] = value => value;
+    [protectedHeader, , encodedPayload, signature] = cborg.decode(
+      token, {tags, useMaps: true});
+    header = cborg.decode(protectedHeader, {useMaps: true});
+    payload = cborg.decode(encodedPayload, {useMaps: true});
+  } catch(e) {
+    const err = new Error(`Could not parse "cwt"; reason: ${e.message}`);
+    err.cause = e;
+    throw err;
+  }
+  if(!(header instanceof Map && payload instanceof Map)) {
+    throw new Error('"cwt" must be a "COSE_Sign1" message.');
+  }
+  const typ = header.get(COSE_HEADER.typ);
+  if(typ !== STATUS_LIST_CWT_TYPE &&
+    typ !== `application/${STATUS_LIST_CWT_TYPE}`) {
+    throw new Error(`"typ" must be "application/${STATUS_LIST_CWT_TYPE}".`);
+  }
+  const statusList = payload.get(CWT_CLAIMS.status_list);
+  return {
+    header,
+    payload,
+    claims: {
+      sub: payload.get(CWT_CLAIMS.sub),
+      exp: payload.get(CWT_CLAIMS.exp),
+      statusList: statusList instanceof Map ?
+        Object.fromEntries(statusList) : statusList
+    },
+    data: _createSigStructure({protectedHeader, payload: encodedPayload}),
+    signature
+  };
+}
+
+function _createSigStructure({protectedHeader, payload}) {
+  return cborg.encode(
+    ['Signature1', protectedHeader, new Uint8Array(0), payload]);
+}
+
+function _encodeJson(value) {
+  return base64url.encode(JSON.stringify(value));
+}
+
+function _decodeJson(encoded) {
+  return JSON.parse(new TextDecoder().decode(base64url.decode(encoded)));
+}
+
+function _toNumericDate({date, name}) {
+  if(!(date instanceof Date && !isNaN(date))) {
+    throw new TypeError(`"${name}" must be a valid Date.`);
+  }
+  return Math.floor(date.getTime() / 1000);
+}
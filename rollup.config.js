@@ -1,7 +1,11 @@
 import pkg from './package.json';
 export default [
   {
-    input: './lib/index.js',
+    // the browser variants are not imported; they replace their Node.js
+    // counterparts via the `browser` field of `package.json`
+    input: [
+      './lib/index.js', './lib/crypto-browser.js', './lib/fs-browser.js'
+    ],
     output: [
       {
         dir: 'dist',
@@ -9,6 +13,6 @@ export default [
         preserveModules: true
       }
     ],
-    external: Object.keys(pkg.dependencies)
+    external: [...Object.keys(pkg.dependencies), 'crypto', 'fs', 'path']
   }
 ];
@@ -1,12 +1,16 @@
 /*!
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
+import {Bitstring} from '@digitalcredentials/bitstring';
 import {StatusList} from '../lib/StatusList.js';
 
 const encodedList100k =
   'H4sIAAAAAAAAA-3BMQEAAADCoPVPbQsvoAAAAAAAAAAAAAAAAP4GcwM92tQwAAA';
 const encodedList100KWith50KthRevoked =
   'H4sIAAAAAAAAA-3OMQ0AAAgDsElHOh72EJJWQRMAAAAAAIDWXAcAAAAAAIDHFvRitn7UMAAA';
+// a 16-bit list with indexes 1 and 10 set, encoded by
+// `@digitalbazaar/bitstring` with index 0 as the left-most bit
+const encodedLeftToRightList = 'H4sIAAAAAAAAA3NQAAAyfc6KAgAAAA';
 
 describe('StatusList', () => {
   it('should create an instance', async () => {
@@ -112,4 +116,279 @@ describe('StatusList', () => {
     const decodedList = await StatusList.decode({encodedList});
     decodedList.getStatus(50000).should.equal(true);
   });
+
+  describe('statusSize', () => {
+    it('should create an instance with multi-bit entries', async () => {
+      const list = new StatusList({length: 8, statusSize: 2});
+      list.length.should.equal(8);
+      list.statusSize.should.equal(2);
+      list.bitstring.length.should.equal(16);
+    });
+
+    it('should fail with an invalid "statusSize"', async () => {
+      let err;
+      try {
+        new StatusList({length: 8, statusSize: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.equal('"statusSize" must be a positive integer.');
+    });
+
+    it('should set and get multi-bit values', async () => {
+      const list = new StatusList({length: 8, statusSize: 4});
+      list.setStatus(3, 11);
+      list.setStatus(4, 15);
+      list.getStatus(2).should.equal(0);
+      list.getStatus(3).should.equal(11);
+      list.getStatus(4).should.equal(15);
+      list.setStatus(4, 1);
+      list.getStatus(4).should.equal(1);
+      list.getStatus(5).should.equal(0);
+    });
+
+    it('should fail to set a value that does not fit', async () => {
+      const list = new StatusList({length: 8, statusSize: 2});
+      let err;
+      try {
+        list.setStatus(0, 4);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.equal('"status" must be an integer between 0 and 3.');
+    });
+
+    it('should fail to get a value that is out of range', async () => {
+      const list = new StatusList({length: 8, statusSize: 2});
+      let err;
+      try {
+        list.getStatus(8);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Position "8" is out of range "0-7".');
+    });
+
+    it('should encode and decode multi-bit values', async () => {
+      const list = new StatusList({length: 100000, statusSize: 2});
+      list.setStatus(50000, 2);
+      const encodedList = await list.encode();
+      const decodedList = await StatusList.decode(
+        {encodedList, statusSize: 2});
+      decodedList.length.should.equal(100000);
+      decodedList.getStatus(50000).should.equal(2);
+      decodedList.getStatus(49999).should.equal(0);
+    });
+  });
+
+  describe('leftToRightIndexing', () => {
+    it('should decode a list of a spec-conformant implementation',
+      async () => {
+        const list = await StatusList.decode({
+          encodedList: encodedLeftToRightList, leftToRightIndexing: true
+        });
+        list.length.should.equal(16);
+        list.getSetIndexes().should.deep.equal([1, 10]);
+      });
+
+    it('should encode a list for a spec-conformant implementation',
+      async () => {
+        const list = new StatusList({length: 16});
+        list.setStatuses([1, 10], true);
+        const encoded = await list.encode({leftToRightIndexing: true});
+        const buffer = await Bitstring.decodeBits({encoded});
+        buffer.should.deep.equal(await Bitstring.decodeBits(
+          {encoded: encodedLeftToRightList}));
+        buffer.should.deep.equal(new Uint8Array([0x40, 0x20]));
+      });
+
+    it('should read multi-bit values left to right', async () => {
+      const list = new StatusList({length: 8, statusSize: 3});
+      list.setStatus(0, 1);
+      list.setStatus(1, 6);
+      const encodedList = await list.encode({leftToRightIndexing: true});
+      const buffer = await Bitstring.decodeBits({encoded: encodedList});
+      // 001 110 ...
+      buffer[0].should.equal(0x38);
+      const decodedList = await StatusList.decode(
+        {encodedList, statusSize: 3, leftToRightIndexing: true});
+      decodedList.getStatus(0).should.equal(1);
+      decodedList.getStatus(1).should.equal(6);
+      decodedList.getSetIndexes().should.deep.equal([0, 1]);
+    });
+  });
+
+  describe('bulk operations', () => {
+    it('should set many statuses', async () => {
+      const list = new StatusList({length: 100000});
+      list.setStatuses([5, 99999, 50000], true);
+      list.getSetIndexes().should.eql([5, 50000, 99999]);
+      list.setStatuses([50000], false);
+      list.getSetIndexes().should.eql([5, 99999]);
+    });
+
+    it('should not change any status with an invalid index', async () => {
+      const list = new StatusList({length: 8});
+      let err;
+      try {
+        list.setStatuses([1, 8], true);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Position "8" is out of range "0-7".');
+      list.countSet().should.equal(0);
+    });
+
+    it('should set a range of statuses', async () => {
+      const list = new StatusList({length: 100});
+      list.setStatusRange(3, 61, true);
+      list.countSet().should.equal(58);
+      list.getStatus(2).should.equal(false);
+      list.getStatus(3).should.equal(true);
+      list.getStatus(60).should.equal(true);
+      list.getStatus(61).should.equal(false);
+      list.setStatusRange(10, 20, false);
+      list.countSet().should.equal(48);
+      list.nextClearIndex(3).should.equal(10);
+    });
+
+    it('should set a range up to the end of the list', async () => {
+      const list = new StatusList({length: 13});
+      list.setStatusRange(0, 13, true);
+      list.countSet().should.equal(13);
+      list.nextClearIndex().should.equal(-1);
+    });
+
+    it('should fail with an invalid range', async () => {
+      const list = new StatusList({length: 8});
+      let err;
+      try {
+        list.setStatusRange(4, 9, true);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.equal(
+        '"start" and "end" must be integers with 0 <= start <= end <= 8.');
+    });
+
+    it('should find the next clear index', async () => {
+      const list = new StatusList({length: 32});
+      list.setStatusRange(0, 17, true);
+      list.nextClearIndex().should.equal(17);
+      list.nextClearIndex(20).should.equal(20);
+      list.nextClearIndex(32).should.equal(-1);
+    });
+
+    it('should operate on multi-bit statuses', async () => {
+      const list = new StatusList({length: 100, statusSize: 2});
+      list.setStatuses([1, 7, 50], 2);
+      list.setStatusRange(60, 64, 3);
+      list.getSetIndexes().should.eql([1, 7, 50, 60, 61, 62, 63]);
+      list.countSet().should.equal(7);
+      list.nextClearIndex(60).should.equal(64);
+      list.getStatus(62).should.equal(3);
+    });
+
+    it('should operate on statuses that straddle bytes', async () => {
+      const list = new StatusList({length: 20, statusSize: 3});
+      list.setStatuses([2, 5], 5);
+      list.getSetIndexes().should.eql([2, 5]);
+      list.countSet().should.equal(2);
+    });
+
+    it('should handle lists with millions of entries', async () => {
+      const list = new StatusList({length: 8000000});
+      list.setStatusRange(1000, 7999000, true);
+      list.setStatuses([5, 7999999], true);
+      list.countSet().should.equal(7998002);
+      list.nextClearIndex(1000).should.equal(7999000);
+      const sparse = new StatusList({length: 8000000});
+      sparse.setStatuses([3, 4000000, 7999999], true);
+      sparse.getSetIndexes().should.eql([3, 4000000, 7999999]);
+    });
+  });
+
+  describe('resize and merge', () => {
+    it('should grow a list and keep its statuses', async () => {
+      const list = new StatusList({length: 131072});
+      list.setStatuses([0, 131071], true);
+      const resized = list.resize(262144);
+      resized.length.should.equal(262144);
+      resized.getSetIndexes().should.eql([0, 131071]);
+      resized.setStatus(262143, true);
+      list.countSet().should.equal(2);
+      const decoded = await StatusList.decode(
+        {encodedList: await resized.encode()});
+      decoded.length.should.equal(262144);
+      decoded.getSetIndexes().should.eql([0, 131071, 262143]);
+    });
+
+    it('should grow a multi-bit list', async () => {
+      const list = new StatusList({length: 3, statusSize: 3});
+      list.setStatus(2, 7);
+      const resized = list.resize(10);
+      resized.statusSize.should.equal(3);
+      resized.getStatus(2).should.equal(7);
+      resized.getSetIndexes().should.eql([2]);
+    });
+
+    it('should fail to shrink a list', async () => {
+      const list = new StatusList({length: 16});
+      let err;
+      try {
+        list.resize(8);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.equal('"length" must be an integer of at least 16.');
+    });
+
+    it('should merge lists', async () => {
+      const a = new StatusList({length: 16});
+      const b = new StatusList({length: 16});
+      a.setStatuses([1, 2, 9], true);
+      b.setStatuses([2, 3, 9, 15], true);
+      a.merge(b).getSetIndexes().should.eql([1, 2, 3, 9, 15]);
+      a.merge(b, 'and').getSetIndexes().should.eql([2, 9]);
+      a.merge(b, 'xor').getSetIndexes().should.eql([1, 3, 15]);
+      a.getSetIndexes().should.eql([1, 2, 9]);
+    });
+
+    it('should fail to merge lists of different lengths', async () => {
+      const a = new StatusList({length: 16});
+      const b = new StatusList({length: 24});
+      let err;
+      try {
+        a.merge(b);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal(
+        'Lists must have the same length and status size to be merged.');
+    });
+
+    it('should fail with an unknown merge operation', async () => {
+      const a = new StatusList({length: 16});
+      let err;
+      try {
+        a.merge(new StatusList({length: 16}), 'nand');
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.equal('"operation" must be one of or, and, xor.');
+    });
+  });
 });
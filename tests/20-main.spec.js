@@ -2,16 +2,30 @@
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
 import {
-  createList, decodeList, createCredential, checkStatus, statusTypeMatches,
-  assertStatusList2021Context, getCredentialStatus
+  createList, decodeList, diffLists, createCredential, checkStatus,
+  statusTypeMatches,
+  assertStatusList2021Context, assertBitstringStatusListContext,
+  getCredentialStatus, issueStatusListCredential, refreshStatusListCredential,
+  createStatusListBundle, StatusListBundle, StatusListChain,
+  StatusListCache, StatusListChainTracker, StatusListManager,
+  InvalidStatusEntryError, InvalidStatusListError, StatusIndexOutOfRangeError,
+  StatusListDecodeError,
+  StatusListError, StatusListIssuerMismatchError, StatusListNotFoundError,
+  StatusListNotVerifiedError, StatusListValidityError,
+  StatusPurposeMismatchError,
+  validateStatusListCredential
 } from '../lib/index.js';
+import {Bitstring} from '@digitalcredentials/bitstring';
 import * as didKey from '@digitalcredentials/did-method-key';
 import jsigs from 'jsonld-signatures';
 import {
+  bsCredentialRevocation as BSCRevocation,
+  rlCredential as RLC,
   slCredentialRevocation as SLCRevocation,
   slCredentialSuspension as SLCSuspension
 } from './mock-sl-credentials.js';
 import statusListCtx from '@digitalbazaar/vc-status-list-context';
+import * as vcV2Ctx from '@digitalcredentials/credentials-v2-context';
 import {defaultDocumentLoader} from '@digitalcredentials/vc';
 import {Ed25519Signature2020} from '@digitalcredentials/ed25519-signature-2020';
 import suiteCtx2020 from 'ed25519-signature-2020-context';
@@ -22,15 +36,23 @@ const VC_SL_CONTEXT_URL = statusListCtx.constants.CONTEXT_URL_V1;
 const VC_SL_CONTEXT = statusListCtx.contexts.get(VC_SL_CONTEXT_URL);
 const SUITE_CONTEXT_URL = suiteCtx2020.constants.CONTEXT_URL;
 const SUITE_CONTEXT = suiteCtx2020.contexts.get(SUITE_CONTEXT_URL);
+const VC_V2_CONTEXT_URL = vcV2Ctx.CONTEXT_URL;
 
+// a list with index 7 set, encoded by `@digitalbazaar/bitstring` with index 0
+// as the left-most bit, as the Bitstring Status List spec requires
+const encodedBitstring131KWith7thRevoked =
+  'H4sIAAAAAAAAA-3BIQEAAAACIP1_2hkWoAEAAAAAAAAAAAAAAAAAAADeBjn7xTYAQAAA';
 const encodedList100k =
   'H4sIAAAAAAAAA-3BMQEAAADCoPVPbQsvoAAAAAAAAAAAAAAAAP4GcwM92tQwAAA';
 
 const documents = new Map();
 documents.set(VC_SL_CONTEXT_URL, VC_SL_CONTEXT);
 documents.set(SUITE_CONTEXT_URL, SUITE_CONTEXT);
+documents.set(VC_V2_CONTEXT_URL, vcV2Ctx.CONTEXT);
 documents.set(SLCRevocation.id, SLCRevocation);
 documents.set(SLCSuspension.id, SLCSuspension);
+documents.set(BSCRevocation.id, BSCRevocation);
+documents.set(RLC.id, RLC);
 
 const didKeyDriver = didKey.driver();
 
@@ -51,6 +73,56 @@ const documentLoader = extendContextLoader(async url => {
   return defaultDocumentLoader(url);
 });
 
+// contexts of a test credential by the type of its status entry
+const ENTRY_CONTEXTS = new Map([
+  ['StatusList2021Entry', [
+    'https://www.w3.org/2018/credentials/v1',
+    VC_SL_CONTEXT_URL
+  ]],
+  ['BitstringStatusListEntry', [VC_V2_CONTEXT_URL]],
+  ['RevocationList2020Status', [
+    'https://www.w3.org/2018/credentials/v1',
+    'https://w3id.org/vc-revocation-list-2020/v1'
+  ]]
+]);
+
+function _createEntry({
+  type = 'StatusList2021Entry', statusListCredential = SLCRevocation.id,
+  index = 67342, statusPurpose = 'revocation'
+} = {}) {
+  const id = `${statusListCredential}#${index}`;
+  if(type === 'RevocationList2020Status') {
+    return {
+      id, type,
+      revocationListIndex: `${index}`,
+      revocationListCredential: statusListCredential
+    };
+  }
+  return {
+    id, type, statusPurpose,
+    statusListIndex: `${index}`,
+    statusListCredential
+  };
+}
+
+function _createCredential({
+  entry, credentialStatus = _createEntry(entry),
+  contexts = ENTRY_CONTEXTS.get([].concat(credentialStatus)[0].type),
+  issuer = SLCRevocation.issuer
+} = {}) {
+  return {
+    '@context': [...contexts],
+    id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+    type: ['VerifiableCredential', 'example:TestCredential'],
+    credentialSubject: {
+      id: 'urn:uuid:4886029a-7925-11ea-9274-10bf48838a41',
+      'example:test': 'foo'
+    },
+    credentialStatus,
+    issuer
+  };
+}
+
 describe('createList', () => {
   it('should pass', async () => {
     const list = await createList({length: 8});
@@ -89,6 +161,31 @@ describe('decodeList', () => {
   });
 });
 
+describe('diffLists', () => {
+  it('should find the changed indexes', async () => {
+    const list = await createList({length: 100000});
+    list.setStatuses([10, 20], true);
+    const before = await list.encode();
+    list.setStatuses([20], false);
+    list.setStatuses([30, 99999], true);
+    const after = await list.encode();
+    const diff = await diffLists({before, after});
+    diff.getSetIndexes().should.eql([20, 30, 99999]);
+  });
+
+  it('should compare lists of different lengths', async () => {
+    const list = await createList({length: 8});
+    list.setStatus(3, true);
+    const before = await list.encode();
+    const resized = list.resize(16);
+    resized.setStatus(12, true);
+    const after = `u${await resized.encode()}`;
+    const diff = await diffLists({before, after});
+    diff.length.should.equal(16);
+    diff.getSetIndexes().should.eql([12]);
+  });
+});
+
 describe('createCredential', () => {
   it('should create a StatusList2021Credential credential', async () => {
     const id = 'https://example.com/status/1';
@@ -111,6 +208,97 @@ describe('createCredential', () => {
       }
     });
   });
+
+  it('should create a credential with all options', async () => {
+    const id = 'https://example.com/status/1';
+    const list = await createList({length: 100000});
+    const credential = await createCredential({
+      id, list, statusPurpose: 'revocation',
+      issuer: SLCRevocation.issuer,
+      validFrom: new Date('2023-01-01T00:00:00.500Z'),
+      validUntil: '2024-01-01T00:00:00Z',
+      name: 'Revocation list',
+      description: 'Revocation list of example credentials',
+      contexts: [SUITE_CONTEXT_URL],
+      types: ['example:StatusList']
+    });
+    credential.should.deep.equal({
+      '@context': [
+        'https://www.w3.org/2018/credentials/v1',
+        VC_SL_CONTEXT_URL,
+        SUITE_CONTEXT_URL
+      ],
+      id,
+      type: [
+        'VerifiableCredential', 'StatusList2021Credential',
+        'example:StatusList'
+      ],
+      issuer: SLCRevocation.issuer,
+      issuanceDate: '2023-01-01T00:00:00Z',
+      expirationDate: '2024-01-01T00:00:00Z',
+      name: 'Revocation list',
+      description: 'Revocation list of example credentials',
+      credentialSubject: {
+        id: `${id}#list`,
+        type: 'StatusList2021',
+        encodedList: encodedList100k,
+        statusPurpose: 'revocation'
+      }
+    });
+  });
+
+  it('should use "validFrom" and "validUntil" for a ' +
+    '"BitstringStatusListCredential"', async () => {
+    const list = await createList({length: 100000});
+    const credential = await createCredential({
+      id: 'https://example.com/status/1', list, statusPurpose: 'revocation',
+      type: 'BitstringStatusListCredential',
+      issuer: {id: SLCRevocation.issuer, name: 'Example'},
+      validFrom: '2023-01-01T00:00:00Z',
+      validUntil: '2024-01-01T00:00:00Z',
+      ttl: 300000
+    });
+    credential.credentialSubject.ttl.should.equal(300000);
+    credential.issuer.should.deep.equal(
+      {id: SLCRevocation.issuer, name: 'Example'});
+    credential.validFrom.should.equal('2023-01-01T00:00:00Z');
+    credential.validUntil.should.equal('2024-01-01T00:00:00Z');
+    should.not.exist(credential.issuanceDate);
+    should.not.exist(credential.expirationDate);
+  });
+
+  const invalidOptions = [
+    [{issuer: {name: 'Example'}},
+      '"issuer" must be a string or an object with a string "id".'],
+    [{validFrom: 'yesterday'}, '"validFrom" must be a valid date.'],
+    [{validUntil: 1672531200000}, '"validUntil" must be a valid date.'],
+    [{validFrom: '2024-01-01T00:00:00Z', validUntil: '2023-01-01T00:00:00Z'},
+      '"validUntil" must not be before "validFrom".'],
+    [{ttl: -1}, '"ttl" must be a non-negative integer.'],
+    [{ttl: 300000},
+      '"ttl" is only supported for a "BitstringStatusListCredential".'],
+    [{name: 42}, '"name" must be a string.'],
+    [{contexts: SUITE_CONTEXT_URL}, '"contexts" must be an array of strings.'],
+    [{types: [null]}, '"types" must be an array of strings.']
+  ];
+  for(const [options, message] of invalidOptions) {
+    it(`should fail with invalid ${Object.keys(options).join(', ')}`,
+      async () => {
+        const list = await createList({length: 8});
+        let err;
+        try {
+          await createCredential({
+            id: 'https://example.com/status/1', list,
+            statusPurpose: 'revocation', ...options
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+        err.message.should.equal(message);
+      });
+  }
 });
 
 describe('statusTypeMatches', () => {
@@ -313,6 +501,74 @@ describe('checkStatus', () => {
     result.verified.should.equal(true);
   });
 
+  it('should not reuse a list verified with another "suite"', async () => {
+    const credential = {
+      '@context': [
+        'https://www.w3.org/2018/credentials/v1',
+        VC_SL_CONTEXT_URL
+      ],
+      id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+      type: ['VerifiableCredential', 'example:TestCredential'],
+      credentialSubject: {
+        id: 'urn:uuid:4886029a-7925-11ea-9274-10bf48838a41',
+        'example:test': 'foo'
+      },
+      credentialStatus: {
+        id: 'https://example.com/status/1#67342',
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListIndex: '67342',
+        statusListCredential: SLCRevocation.id
+      },
+      issuer: SLCRevocation.issuer,
+    };
+    const cache = new StatusListCache();
+    let result = await checkStatus({
+      credential, suite: new Ed25519Signature2020(), documentLoader, cache
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+
+    // a suite that only accepts proofs of another key
+    const {methodFor} = await didKeyDriver.generate();
+    const suite = new Ed25519Signature2020(
+      {key: methodFor({purpose: 'assertionMethod'})});
+    result = await checkStatus({credential, suite, documentLoader, cache});
+    result.verified.should.equal(false);
+    result.error.should.be.instanceof(StatusListNotVerifiedError);
+  });
+
+  it('should not fall back on a list that fails verification', async () => {
+    const credential = _createCredential();
+    let tampered = false;
+    const loader = async url => {
+      if(!(tampered && url === SLCRevocation.id)) {
+        return documentLoader(url);
+      }
+      const document = {
+        ...SLCRevocation,
+        credentialSubject: {
+          ...SLCRevocation.credentialSubject, encodedList: encodedList100k
+        }
+      };
+      return {contextUrl: null, documentUrl: url, document};
+    };
+    const options = {
+      credential, suite: new Ed25519Signature2020(), documentLoader: loader,
+      cache: new StatusListCache({maxAge: 0}), maxFallbackAge: 60000
+    };
+    let result = await checkStatus(options);
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+
+    tampered = true;
+    result = await checkStatus(options);
+    result.verified.should.equal(false);
+    result.error.should.be.instanceof(StatusListNotVerifiedError);
+    should.not.exist(result.results[0].stale);
+    should.not.exist(result.results[0].source);
+  });
+
   it('should use default value when "verifyStatusListCredential" is not ' +
     'specified', async () => {
     const credential = {
@@ -595,7 +851,7 @@ describe('checkStatus', () => {
     result.verified.should.equal(false);
     should.exist(result.error);
     result.error.message.should.equal('"credentialStatus.type" must be ' +
-      '"StatusList2021Entry".');
+      '"StatusList2021Entry" or "RevocationList2020Status".');
   });
 
   it('should pass when there is >= 1 matching type', async () => {
@@ -1248,7 +1504,8 @@ describe('getCredentialStatus', () => {
     }
     should.exist(err);
     should.not.exist(result);
-    err.should.be.instanceof(Error);
+    err.should.be.instanceof(InvalidStatusEntryError);
+    err.code.should.equal('ERR_INVALID_STATUS_ENTRY');
     err.message.should.contain('"credentialStatus" with type ' +
       '"StatusList2021Entry" and status purpose "revocation" not found.');
   });
@@ -1415,3 +1672,1466 @@ describe('getCredentialStatus', () => {
       '"StatusList2021Entry" and status purpose "suspension" not found.');
   });
 });
+
+describe('Bitstring Status List', () => {
+  const entry = {
+    type: 'BitstringStatusListEntry', statusListCredential: BSCRevocation.id
+  };
+
+  it('should create a BitstringStatusListCredential', async () => {
+    const id = 'https://example.com/status/bitstring/1';
+    const list = await createList({length: 100000});
+    const credential = await createCredential({
+      id, list, statusPurpose: 'revocation',
+      type: 'BitstringStatusListCredential'
+    });
+    credential.should.deep.equal({
+      '@context': ['https://www.w3.org/ns/credentials/v2'],
+      id,
+      type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+      credentialSubject: {
+        id: `${id}#list`,
+        type: 'BitstringStatusList',
+        encodedList: `u${encodedList100k}`,
+        statusPurpose: 'revocation'
+      }
+    });
+  });
+
+  it('should fail to create a credential with an unknown type', async () => {
+    const list = await createList({length: 8});
+    let err;
+    try {
+      await createCredential({
+        id: 'https://example.com/status/bitstring/1', list,
+        statusPurpose: 'revocation', type: 'ex:UnknownCredential'
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.contain('"type" must be one of');
+  });
+
+  it('should decode a multibase encoded list', async () => {
+    const list = await decodeList({encodedList: `u${encodedList100k}`});
+    list.length.should.equal(100000);
+  });
+
+  it('should find a match with "statusTypeMatches"', async () => {
+    const result = statusTypeMatches({credential: _createCredential({entry})});
+    result.should.equal(true);
+  });
+
+  it('should not match a "StatusList2021Entry" in a VC 2.0 credential',
+    async () => {
+      const credential = _createCredential({entry});
+      credential.credentialStatus.type = 'StatusList2021Entry';
+      const result = statusTypeMatches({credential});
+      result.should.equal(false);
+    });
+
+  it('should get a "credentialStatus"', async () => {
+    const credential = _createCredential({entry});
+    const result = getCredentialStatus(
+      {credential, statusPurpose: 'revocation'});
+    result.should.equal(credential.credentialStatus);
+  });
+
+  it('should fail "assertBitstringStatusListContext" for a VC 1.1 credential',
+    async () => {
+      const list = await createList({length: 8});
+      const credential = await createCredential({
+        id: 'https://example.com/status/1', list, statusPurpose: 'revocation'
+      });
+      let err;
+      try {
+        assertBitstringStatusListContext({credential});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('first "@context" value');
+    });
+
+  it('should verify an unset status', async () => {
+    const result = await checkStatus({
+      credential: _createCredential({entry}),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+  });
+
+  it('should not verify a set status', async () => {
+    const credential = _createCredential({entry});
+    credential.credentialStatus.statusListIndex = '50000';
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+  });
+
+  it('should check a list of a spec-conformant implementation', async () => {
+    const id = 'https://example.com/status/bitstring/conformant';
+    documents.set(id, {
+      ...BSCRevocation, id,
+      credentialSubject: {
+        ...BSCRevocation.credentialSubject, id: `${id}#list`,
+        encodedList: `u${encodedBitstring131KWith7thRevoked}`
+      }
+    });
+    for(const [index, status] of [[0, 0], [7, 1]]) {
+      const result = await checkStatus({
+        credential: _createCredential(
+          {entry: {...entry, statusListCredential: id, index}}),
+        documentLoader, verifyStatusListCredential: false
+      });
+      should.not.exist(result.error);
+      result.results[0].status.should.equal(status);
+    }
+  });
+
+  it('should create a list in the order of the spec', async () => {
+    const list = await createList({length: 131072});
+    list.setStatus(7, true);
+    const credential = await createCredential({
+      id: 'https://example.com/status/bitstring/2', list,
+      statusPurpose: 'revocation', type: 'BitstringStatusListCredential'
+    });
+    const {credentialSubject: {encodedList}} = credential;
+    const [byte] = await Bitstring.decodeBits({encoded: encodedList.slice(1)});
+    // index 7 is the right-most bit of the first byte
+    byte.should.equal(0x01);
+  });
+
+  it('should sign a credential with a "ttl"', async () => {
+    const {didDocument, methodFor} = await didKeyDriver.generate();
+    const suite = new Ed25519Signature2020(
+      {key: methodFor({purpose: 'assertionMethod'})});
+    const credential = await createCredential({
+      id: 'https://example.com/status/bitstring/ttl',
+      list: await createList({length: 131072}), statusPurpose: 'revocation',
+      type: 'BitstringStatusListCredential', issuer: didDocument.id,
+      ttl: 300000, contexts: [SUITE_CONTEXT_URL]
+    });
+    const purpose = new jsigs.purposes.AssertionProofPurpose();
+    const signed = await jsigs.sign(
+      credential, {suite, purpose, documentLoader});
+    signed.credentialSubject.ttl.should.equal(300000);
+    const result = await jsigs.verify(signed, {
+      suite: new Ed25519Signature2020(), purpose, documentLoader
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+  });
+
+  it('should accept an entry without "id"', async () => {
+    const credential = _createCredential({entry});
+    delete credential.credentialStatus.id;
+    for(const strict of [false, true]) {
+      getCredentialStatus({credential, statusPurpose: 'revocation', strict})
+        .should.equal(credential.credentialStatus);
+      const result = await checkStatus({
+        credential, documentLoader, verifyStatusListCredential: false, strict
+      });
+      if(strict) {
+        // the entry conforms, the mock list is shorter than the specs require
+        result.error.should.be.instanceof(InvalidStatusListError);
+      } else {
+        should.not.exist(result.error);
+        result.verified.should.equal(true);
+      }
+    }
+  });
+
+  it('should fail with a "StatusList2021Entry"', async () => {
+    const credential = _createCredential({entry});
+    credential.credentialStatus.type = 'StatusList2021Entry';
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      '"credentialStatus.type" must be "BitstringStatusListEntry".');
+  });
+
+  it('should verify a signed "BitstringStatusListCredential"', async () => {
+    const {didDocument, methodFor} = await didKeyDriver.generate();
+    const suite = new Ed25519Signature2020(
+      {key: methodFor({purpose: 'assertionMethod'})});
+    const id = 'https://example.com/status/bitstring/signed';
+    const list = await createList({length: 131072});
+    list.setStatus(7, true);
+    const slCredential = await jsigs.sign(await createCredential({
+      id, list, statusPurpose: 'revocation',
+      type: 'BitstringStatusListCredential', issuer: didDocument.id,
+      contexts: [SUITE_CONTEXT_URL]
+    }), {
+      suite, purpose: new jsigs.purposes.AssertionProofPurpose(),
+      documentLoader
+    });
+    documents.set(id, slCredential);
+
+    const credential = _createCredential({entry});
+    credential.issuer = didDocument.id;
+    credential.credentialStatus.statusListCredential = id;
+    credential.credentialStatus.statusListIndex = '7';
+    let result = await checkStatus({
+      credential, documentLoader, suite: new Ed25519Signature2020()
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+    result.results[0].listVerified.should.equal(true);
+    credential.credentialStatus.statusListIndex = '8';
+    result = await checkStatus({
+      credential, documentLoader, suite: new Ed25519Signature2020()
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+
+    // a tampered list is not verified
+    documents.set(id, {
+      ...slCredential,
+      credentialSubject: {
+        ...slCredential.credentialSubject,
+        encodedList: `u${encodedList100k}`
+      }
+    });
+    result = await checkStatus({
+      credential, documentLoader, suite: new Ed25519Signature2020()
+    });
+    result.verified.should.equal(false);
+    result.error.should.be.instanceof(StatusListNotVerifiedError);
+    result.error.message.should.contain(
+      '"BitstringStatusListCredential" not verified');
+  });
+
+  it('should fail when the list is a "StatusList2021Credential"', async () => {
+    const credential = _createCredential({entry});
+    credential.credentialStatus.statusListCredential = SLCRevocation.id;
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('Status list credential type must ' +
+      'include "BitstringStatusListCredential".');
+  });
+});
+
+describe('statusSize and statusMessage', () => {
+  const statusMessage = [
+    {status: '0x0', message: 'valid'},
+    {status: '0x1', message: 'pending_review'},
+    {status: '0x2', message: 'accepted'},
+    {status: '0x3', message: 'rejected'}
+  ];
+  const slcId = 'https://example.com/status/bitstring/message';
+
+  before(async () => {
+    const list = await createList({length: 131072, statusSize: 2});
+    list.setStatus(7, 2);
+    const slc = await createCredential({
+      id: slcId, list, statusPurpose: 'message',
+      type: 'BitstringStatusListCredential'
+    });
+    slc.issuer = BSCRevocation.issuer;
+    documents.set(slcId, slc);
+  });
+
+  function _createMessageCredential({index}) {
+    return _createCredential({
+      credentialStatus: {
+        ..._createEntry({
+          type: 'BitstringStatusListEntry', statusListCredential: slcId,
+          index, statusPurpose: 'message'
+        }),
+        statusSize: 2,
+        statusMessage
+      }
+    });
+  }
+
+  it('should return the status value and message', async () => {
+    const result = await checkStatus({
+      credential: _createMessageCredential({index: 7}),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+    result.results.should.deep.equal([{
+      verified: true,
+      statusPurpose: 'message',
+      severity: 'informational',
+      statusListIndex: 7,
+      statusListCredential: slcId,
+      listVerified: false,
+      status: 2,
+      message: 'accepted'
+    }]);
+  });
+
+  it('should return a zero status value', async () => {
+    const result = await checkStatus({
+      credential: _createMessageCredential({index: 8}),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.results[0].status.should.equal(0);
+    result.results[0].message.should.equal('valid');
+  });
+
+  it('should fail when "statusMessage" is missing', async () => {
+    const credential = _createMessageCredential({index: 7});
+    delete credential.credentialStatus.statusMessage;
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('"credentialStatus.statusMessage" ' +
+      'must be present when "credentialStatus.statusSize" is greater than 1.');
+  });
+
+  it('should fail when "statusMessage" has the wrong length', async () => {
+    const credential = _createMessageCredential({index: 7});
+    credential.credentialStatus.statusMessage = statusMessage.slice(0, 2);
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('The number of ' +
+      '"credentialStatus.statusMessage" values must be 4 for a ' +
+      '"statusSize" of 2.');
+  });
+});
+
+describe('RevocationList2020', () => {
+  const entry = {
+    type: 'RevocationList2020Status', statusListCredential: RLC.id
+  };
+
+  it('should find a match with "statusTypeMatches"', async () => {
+    const result = statusTypeMatches({credential: _createCredential({entry})});
+    result.should.equal(true);
+  });
+
+  it('should not match without the revocation list context', async () => {
+    const credential = _createCredential({entry});
+    credential['@context'] = ['https://www.w3.org/2018/credentials/v1'];
+    const result = statusTypeMatches({credential});
+    result.should.equal(false);
+  });
+
+  it('should verify an unrevoked credential', async () => {
+    const result = await checkStatus({
+      credential: _createCredential({entry}),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+    result.results[0].statusPurpose.should.equal('revocation');
+  });
+
+  it('should not verify a revoked credential', async () => {
+    const credential = _createCredential({entry});
+    credential.credentialStatus.revocationListIndex = '50000';
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+  });
+
+  it('should verify alongside a "StatusList2021Entry"', async () => {
+    const credential = _createCredential({entry});
+    credential['@context'].push(VC_SL_CONTEXT_URL);
+    credential.credentialStatus = [credential.credentialStatus, {
+      id: 'https://example.com/status/2#67343',
+      type: 'StatusList2021Entry',
+      statusPurpose: 'suspension',
+      statusListIndex: '67343',
+      statusListCredential: SLCSuspension.id
+    }];
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+    result.results.length.should.equal(2);
+  });
+
+  it('should fail when the issuers do not match', async () => {
+    const credential = _createCredential({entry});
+    credential.issuer = 'did:example:1234';
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('Issuers of the status list ' +
+      'credential and verifiable credential do not match.');
+  });
+
+  it('should fail without "revocationListCredential"', async () => {
+    const credential = _createCredential({entry});
+    delete credential.credentialStatus.revocationListCredential;
+    const result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      '"credentialStatus.revocationListCredential" must be a string.');
+  });
+
+  it('should fail when the list is a "StatusList2021Credential"',
+    async () => {
+      const credential = _createCredential({entry});
+      credential.credentialStatus.revocationListCredential = SLCRevocation.id;
+      const result = await checkStatus({
+        credential,
+        documentLoader,
+        verifyStatusListCredential: false
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.equal('Status list credential type must ' +
+        'include "RevocationList2020Credential".');
+    });
+});
+
+describe('checkStatus results', () => {
+  it('should report a result for each "credentialStatus"', async () => {
+    const credential = {
+      '@context': [
+        'https://www.w3.org/2018/credentials/v1',
+        VC_SL_CONTEXT_URL
+      ],
+      id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+      type: ['VerifiableCredential', 'example:TestCredential'],
+      credentialSubject: {
+        id: 'urn:uuid:4886029a-7925-11ea-9274-10bf48838a41',
+        'example:test': 'foo'
+      },
+      credentialStatus: [{
+        id: 'https://example.com/status/1#67342',
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListIndex: '67342',
+        statusListCredential: SLCRevocation.id
+      }, {
+        id: 'https://example.com/status/2#50000',
+        type: 'StatusList2021Entry',
+        statusPurpose: 'suspension',
+        statusListIndex: '50000',
+        statusListCredential: SLCSuspension.id
+      }],
+      issuer: SLCRevocation.issuer
+    };
+    const suite = new Ed25519Signature2020();
+    const result = await checkStatus({credential, suite, documentLoader});
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+    result.results.should.deep.equal([{
+      verified: true,
+      statusPurpose: 'revocation',
+      severity: 'fatal',
+      statusListIndex: 67342,
+      statusListCredential: SLCRevocation.id,
+      listVerified: true,
+      status: 0
+    }, {
+      verified: false,
+      statusPurpose: 'suspension',
+      severity: 'fatal',
+      statusListIndex: 50000,
+      statusListCredential: SLCSuspension.id,
+      listVerified: true,
+      status: 1
+    }]);
+  });
+
+  it('should report the error of a failed entry', async () => {
+    const credential = {
+      '@context': [
+        'https://www.w3.org/2018/credentials/v1',
+        VC_SL_CONTEXT_URL
+      ],
+      id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+      type: ['VerifiableCredential', 'example:TestCredential'],
+      credentialSubject: {
+        id: 'urn:uuid:4886029a-7925-11ea-9274-10bf48838a41',
+        'example:test': 'foo'
+      },
+      credentialStatus: [{
+        id: 'https://example.com/status/1#67342',
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListIndex: '67342',
+        statusListCredential: SLCRevocation.id
+      }, {
+        id: 'https://example.com/status/missing#1',
+        type: 'StatusList2021Entry',
+        statusPurpose: 'suspension',
+        statusListIndex: '1',
+        statusListCredential: 'https://example.com/status/missing'
+      }],
+      issuer: SLCRevocation.issuer
+    };
+    const suite = new Ed25519Signature2020();
+    const result = await checkStatus({credential, suite, documentLoader});
+    result.verified.should.equal(false);
+    result.results[0].verified.should.equal(true);
+    should.not.exist(result.results[0].error);
+    result.results[1].verified.should.equal(false);
+    result.results[1].listVerified.should.equal(false);
+    result.results[1].error.message.should.contain(
+      'Could not load "StatusList2021Credential"');
+    result.error.should.equal(result.results[1].error);
+  });
+
+  it('should report the error of an invalid entry', async () => {
+    const credentialStatus = [
+      _createEntry(),
+      _createEntry({
+        statusListCredential: SLCSuspension.id, index: 50000,
+        statusPurpose: 'suspension'
+      })
+    ];
+    delete credentialStatus[1].statusListCredential;
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.results.length.should.equal(2);
+    should.not.exist(result.results[0].error);
+    result.results[0].verified.should.equal(true);
+    result.results[0].status.should.equal(0);
+    result.results[1].verified.should.equal(false);
+    result.results[1].error.should.be.instanceof(InvalidStatusEntryError);
+    result.results[1].error.credentialStatus.should.equal(
+      credentialStatus[1]);
+    result.error.should.equal(result.results[1].error);
+  });
+});
+
+describe('checkStatus policy', () => {
+  const credentialStatus = [
+    _createEntry(),
+    // this index is set in the suspension list
+    _createEntry({
+      statusListCredential: SLCSuspension.id, index: 50000,
+      statusPurpose: 'suspension'
+    })
+  ];
+
+  it('should not verify a suspended credential by default', async () => {
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+  });
+
+  it('should verify a suspended credential when suspension is a warning',
+    async () => {
+      const result = await checkStatus({
+        credential: _createCredential({credentialStatus}),
+        documentLoader,
+        verifyStatusListCredential: false,
+        policy: {warning: ['suspension']}
+      });
+      should.not.exist(result.error);
+      result.verified.should.equal(true);
+      result.results[1].severity.should.equal('warning');
+      result.results[1].status.should.equal(1);
+    });
+
+  it('should apply the "unknown" severity', async () => {
+    const credential = _createCredential({credentialStatus});
+    credential.credentialStatus = credential.credentialStatus[1];
+    const statusList = documents.get(SLCSuspension.id);
+    const refreshList = {
+      ...statusList,
+      id: 'https://example.com/status/refresh',
+      credentialSubject: {
+        ...statusList.credentialSubject,
+        id: 'https://example.com/status/refresh#list',
+        statusPurpose: 'ex:refresh'
+      }
+    };
+    documents.set(refreshList.id, refreshList);
+    credential.credentialStatus = {
+      ...credential.credentialStatus,
+      id: 'https://example.com/status/refresh#50000',
+      statusPurpose: 'ex:refresh',
+      statusListCredential: refreshList.id
+    };
+    let result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    result.results[0].severity.should.equal('fatal');
+    result = await checkStatus({
+      credential,
+      documentLoader,
+      verifyStatusListCredential: false,
+      policy: {unknown: 'informational'}
+    });
+    result.verified.should.equal(true);
+    result.results[0].severity.should.equal('informational');
+  });
+
+  it('should fail with an invalid policy', async () => {
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader,
+      verifyStatusListCredential: false,
+      policy: {fatal: ['revocation'], warning: ['revocation']}
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('TypeError');
+    result.error.message.should.equal('Status purpose "revocation" must ' +
+      'only be listed once in "policy".');
+  });
+});
+
+describe('checkStatus validity period', () => {
+  before(() => {
+    documents.set('https://example.com/status/expiring', {
+      ...SLCRevocation,
+      id: 'https://example.com/status/expiring',
+      expirationDate: '2023-06-02T16:00:21Z'
+    });
+  });
+
+  it('should verify a list within its validity period', async () => {
+    const result = await checkStatus({
+      credential: _createCredential({
+        entry: {statusListCredential: 'https://example.com/status/expiring'}
+      }),
+      documentLoader,
+      verifyStatusListCredential: false,
+      now: new Date('2023-01-01T00:00:00Z')
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+  });
+
+  it('should fail with an expired list', async () => {
+    const result = await checkStatus({
+      credential: _createCredential({
+        entry: {statusListCredential: 'https://example.com/status/expiring'}
+      }),
+      documentLoader,
+      verifyStatusListCredential: false,
+      now: () => new Date('2024-01-01T00:00:00Z')
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('Status list credential has expired ' +
+      'at "2023-06-02T16:00:21Z" ("expirationDate").');
+  });
+
+  it('should fail with a list that is not valid yet', async () => {
+    const result = await checkStatus({
+      credential: _createCredential(),
+      documentLoader,
+      verifyStatusListCredential: false,
+      now: new Date('2022-01-01T00:00:00Z')
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('Status list credential is not valid ' +
+      'before "2022-06-02T16:00:21Z" ("issuanceDate").');
+  });
+
+  it('should fail with a list older than "maxAge"', async () => {
+    const result = await checkStatus({
+      credential: _createCredential(),
+      documentLoader,
+      verifyStatusListCredential: false,
+      now: new Date('2022-06-03T16:00:21Z'),
+      maxAge: 60 * 60 * 1000
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal('Status list credential is older ' +
+      'than the maximum age of 3600000 ms.');
+  });
+
+  it('should verify a list younger than "maxAge"', async () => {
+    const result = await checkStatus({
+      credential: _createCredential(),
+      documentLoader,
+      verifyStatusListCredential: false,
+      now: new Date('2022-06-02T16:30:00Z'),
+      maxAge: 60 * 60 * 1000
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+  });
+
+  it('should fail with an invalid "now"', async () => {
+    const result = await checkStatus({
+      credential: _createCredential(),
+      documentLoader,
+      verifyStatusListCredential: false,
+      now: 'yesterday'
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('TypeError');
+  });
+});
+
+describe('issueStatusListCredential', () => {
+  let issuer;
+  let suite;
+  before(async () => {
+    const {didDocument, methodFor} = await didKeyDriver.generate();
+    issuer = didDocument.id;
+    suite = new Ed25519Signature2020(
+      {key: methodFor({purpose: 'assertionMethod'})});
+  });
+
+  it('should issue a signed status list credential', async () => {
+    const id = 'https://example.com/status/signed/1';
+    const list = await createList({length: 100000});
+    list.setStatus(7, true);
+    const slCredential = await issueStatusListCredential({
+      id, list, statusPurpose: 'revocation', issuer, suite, documentLoader,
+      validUntil: '2099-01-01T00:00:00Z',
+      now: new Date('2023-01-01T00:00:00.123Z')
+    });
+    slCredential.issuer.should.equal(issuer);
+    slCredential.issuanceDate.should.equal('2023-01-01T00:00:00Z');
+    slCredential.expirationDate.should.equal('2099-01-01T00:00:00Z');
+    should.exist(slCredential.proof);
+    documents.set(id, slCredential);
+
+    const credential = _createCredential({
+      entry: {statusListCredential: id, index: 7}, issuer
+    });
+    const result = await checkStatus({credential, documentLoader, suite});
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+    result.results[0].listVerified.should.equal(true);
+    result.results[0].status.should.equal(1);
+  });
+
+  it('should fail to sign a "BitstringStatusListCredential"', async () => {
+    const list = await createList({length: 8});
+    let err;
+    try {
+      await issueStatusListCredential({
+        id: 'https://example.com/status/signed/2', list,
+        statusPurpose: 'revocation', issuer, suite, documentLoader,
+        type: 'BitstringStatusListCredential'
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"type" must be "StatusList2021Credential" ' +
+      'to sign a status list credential.');
+  });
+
+  it('should refresh a status list credential', async () => {
+    const id = 'https://example.com/status/signed/3';
+    const list = await createList({length: 100000});
+    const slCredential = await issueStatusListCredential({
+      id, list, statusPurpose: 'revocation', issuer, suite, documentLoader,
+      validUntil: new Date('2099-01-01T00:00:00Z'),
+      now: new Date('2023-01-01T00:00:00Z')
+    });
+    list.setStatus(3, true);
+    const refreshed = await refreshStatusListCredential({
+      credential: slCredential, list, suite, documentLoader,
+      now: new Date('2023-01-01T12:00:00Z')
+    });
+    refreshed.issuanceDate.should.equal('2023-01-01T12:00:00Z');
+    refreshed.expirationDate.should.equal('2099-01-01T12:00:00Z');
+    refreshed.proof.proofValue.should.not.equal(
+      slCredential.proof.proofValue);
+    documents.set(id, refreshed);
+
+    const credential = _createCredential({
+      entry: {statusListCredential: id, index: 3}, issuer
+    });
+    const result = await checkStatus({
+      credential, documentLoader, suite,
+      now: new Date('2023-01-01T13:00:00Z')
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+  });
+
+  it('should sign and refresh a chained status list credential', async () => {
+    const id = 'https://example.com/status/signed/4';
+    const list = await createList({length: 100000});
+    const chain = new StatusListChain();
+    const slCredential = await issueStatusListCredential({
+      id, list, statusPurpose: 'revocation', issuer, suite, documentLoader,
+      chain
+    });
+    documents.set(id, slCredential);
+    const credential = _createCredential({
+      entry: {statusListCredential: id, index: 3}, issuer
+    });
+    const chainTracker = new StatusListChainTracker();
+    let result = await checkStatus(
+      {credential, documentLoader, suite, chainTracker});
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+    result.results[0].listVerified.should.equal(true);
+
+    list.setStatus(3, true);
+    let err;
+    try {
+      await refreshStatusListCredential(
+        {credential: slCredential, list, suite, documentLoader});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal('"chain" is required to change the list of a ' +
+      'credential with a "statusListChain".');
+    const refreshed = await refreshStatusListCredential(
+      {credential: slCredential, list, suite, documentLoader, chain});
+    refreshed['@context'].length.should.equal(
+      slCredential['@context'].length);
+    refreshed.credentialSubject.statusListChain.previousDigest.should.equal(
+      slCredential.credentialSubject.statusListChain.digest);
+    documents.set(id, refreshed);
+    result = await checkStatus(
+      {credential, documentLoader, suite, chainTracker});
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+
+    // serving the first version again is a rollback
+    documents.set(id, slCredential);
+    result = await checkStatus(
+      {credential, documentLoader, suite, chainTracker});
+    should.exist(result.error);
+    result.error.message.should.contain('was rolled back');
+  });
+
+  it('should publish a revocation from a manager', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status/managed'});
+    const credentialStatus = await manager.allocate(
+      {credentialId: 'urn:uuid:1'});
+    await manager.revoke({credentialId: 'urn:uuid:1'});
+    const {statusListCredential: id} = credentialStatus;
+    const slCredential = await manager.issueStatusListCredential(
+      {id, issuer, suite, documentLoader});
+    documents.set(id, slCredential);
+
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus, issuer}),
+      documentLoader, suite
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+    result.results[0].listVerified.should.equal(true);
+  });
+});
+
+describe('status list bundle', () => {
+  const id = 'https://example.com/status/bundled/1';
+  let issuer;
+  let suite;
+  let bundle;
+  before(async () => {
+    const {didDocument, methodFor} = await didKeyDriver.generate();
+    issuer = didDocument.id;
+    suite = new Ed25519Signature2020(
+      {key: methodFor({purpose: 'assertionMethod'})});
+    const list = await createList({length: 100000});
+    list.setStatus(5, true);
+    const slCredential = await issueStatusListCredential({
+      id, list, statusPurpose: 'revocation', issuer, suite, documentLoader,
+      now: new Date('2023-01-01T00:00:00Z')
+    });
+    bundle = await createStatusListBundle({
+      credentials: [slCredential], issuer, suite, documentLoader,
+      snapshotDate: new Date('2023-01-02T00:00:00Z'),
+      now: new Date('2023-01-02T00:00:00Z')
+    });
+  });
+
+  it('should check statuses against a bundle', async () => {
+    bundle.credentialSubject.snapshotDate.should.equal('2023-01-02T00:00:00Z');
+    const verified = await StatusListBundle.verify(
+      {bundle, suite, documentLoader});
+    verified.issuer.should.equal(issuer);
+    const now = new Date('2023-01-02T12:00:00Z');
+    let result = await checkStatus({
+      credential: _createCredential(
+        {entry: {statusListCredential: id, index: 5}, issuer}),
+      documentLoader, suite,
+      bundle: verified, now
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+    result.snapshotDate.should.equal('2023-01-02T00:00:00.000Z');
+    result.results[0].listVerified.should.equal(true);
+    result.results[0].status.should.equal(1);
+
+    result = await checkStatus({
+      credential: _createCredential(
+        {entry: {statusListCredential: id, index: 6}, issuer}),
+      documentLoader, suite,
+      bundle: verified, now
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+  });
+
+  it('should refuse a bundle older than "maxBundleAge"', async () => {
+    const verified = await StatusListBundle.verify(
+      {bundle, suite, documentLoader});
+    const result = await checkStatus({
+      credential: _createCredential(
+        {entry: {statusListCredential: id, index: 5}, issuer}),
+      documentLoader, suite,
+      bundle: verified, maxBundleAge: 1000,
+      now: new Date('2023-01-02T00:00:01.001Z')
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      'The status list bundle from "2023-01-02T00:00:00.000Z" is older ' +
+      'than the maximum age of 1000 ms.');
+  });
+
+  it('should fail for a list that is not bundled', async () => {
+    const verified = await StatusListBundle.verify(
+      {bundle, suite, documentLoader});
+    const statusListCredential = 'https://example.com/status/bundled/2';
+    const result = await checkStatus({
+      credential: _createCredential(
+        {entry: {statusListCredential, index: 5}, issuer}),
+      documentLoader, suite, bundle: verified,
+      now: new Date('2023-01-02T00:00:00Z')
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      'Could not load "StatusList2021Credential"; reason: ' +
+      `"${statusListCredential}" is not in the status list bundle.`);
+  });
+
+  it('should fail to verify a tampered bundle', async () => {
+    const tampered = {
+      ...bundle,
+      credentialSubject: {
+        ...bundle.credentialSubject,
+        snapshotDate: '2023-02-01T00:00:00Z'
+      }
+    };
+    let err;
+    try {
+      await StatusListBundle.verify({bundle: tampered, suite, documentLoader});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.contain('"StatusListBundleCredential" not verified');
+  });
+
+  it('should fail with an invalid "bundle"', async () => {
+    const result = await checkStatus({
+      credential: _createCredential(
+        {entry: {statusListCredential: id, index: 5}, issuer}),
+      documentLoader, suite,
+      bundle: {}
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      '"bundle" must be a "StatusListBundle".');
+  });
+});
+
+describe('checkStatus errors', () => {
+  function _assertError({result, ErrorClass, code, credentialStatus}) {
+    result.verified.should.equal(false);
+    result.error.should.be.instanceof(ErrorClass);
+    result.error.should.be.instanceof(StatusListError);
+    result.error.name.should.equal(ErrorClass.name);
+    result.error.code.should.equal(code);
+    result.error.credentialStatus.should.equal(credentialStatus);
+  }
+
+  it('should report a list that is not found', async () => {
+    const credentialStatus = _createEntry(
+      {statusListCredential: 'https://example.com/status/missing'});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader: async url => {
+        throw new Error(`"${url}" not found.`);
+      },
+      verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: StatusListNotFoundError,
+      code: 'ERR_STATUS_LIST_NOT_FOUND', credentialStatus
+    });
+    result.error.cause.message.should.equal(
+      '"https://example.com/status/missing" not found.');
+  });
+
+  it('should report a list that is not verified', async () => {
+    const id = 'https://example.com/status/tampered';
+    documents.set(id, {
+      ...SLCRevocation, id,
+      credentialSubject: {...SLCRevocation.credentialSubject, id: `${id}#list`}
+    });
+    const credentialStatus = _createEntry({statusListCredential: id});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, suite: new Ed25519Signature2020()
+    });
+    _assertError({
+      result, ErrorClass: StatusListNotVerifiedError,
+      code: 'ERR_STATUS_LIST_NOT_VERIFIED', credentialStatus
+    });
+    should.exist(result.error.cause);
+  });
+
+  it('should report a status purpose mismatch', async () => {
+    const credentialStatus = _createEntry({statusPurpose: 'suspension'});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: StatusPurposeMismatchError,
+      code: 'ERR_STATUS_PURPOSE_MISMATCH', credentialStatus
+    });
+  });
+
+  it('should report an issuer mismatch', async () => {
+    const credentialStatus = _createEntry();
+    const result = await checkStatus({
+      credential: _createCredential(
+        {credentialStatus, issuer: 'did:example:other'}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: StatusListIssuerMismatchError,
+      code: 'ERR_STATUS_LIST_ISSUER_MISMATCH', credentialStatus
+    });
+  });
+
+  it('should report an index out of range', async () => {
+    const credentialStatus = _createEntry({index: 200000});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: StatusIndexOutOfRangeError,
+      code: 'ERR_STATUS_INDEX_OUT_OF_RANGE', credentialStatus
+    });
+    result.error.message.should.equal(
+      'Position "200000" is out of range "0-99999".');
+  });
+
+  it('should report a negative index', async () => {
+    const credentialStatus = _createEntry({index: -5});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: StatusIndexOutOfRangeError,
+      code: 'ERR_STATUS_INDEX_OUT_OF_RANGE', credentialStatus
+    });
+    result.error.message.should.equal(
+      'Position "-5" is out of range "0-99999".');
+  });
+
+  it('should report a list outside its validity period', async () => {
+    const credentialStatus = _createEntry();
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false,
+      now: new Date('2000-01-01T00:00:00Z')
+    });
+    _assertError({
+      result, ErrorClass: StatusListValidityError,
+      code: 'ERR_STATUS_LIST_VALIDITY', credentialStatus
+    });
+  });
+
+  it('should report a list of the wrong type', async () => {
+    const id = 'https://example.com/status/wrong-type';
+    documents.set(id, {
+      ...SLCRevocation, id,
+      credentialSubject: {
+        ...SLCRevocation.credentialSubject, id: `${id}#list`,
+        type: 'RevocationList2020'
+      }
+    });
+    const credentialStatus = _createEntry({statusListCredential: id});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: InvalidStatusListError,
+      code: 'ERR_INVALID_STATUS_LIST', credentialStatus
+    });
+    result.error.message.should.equal(
+      'Status list type must be "StatusList2021".');
+  });
+
+  it('should report a list that cannot be decoded', async () => {
+    const id = 'https://example.com/status/undecodable';
+    documents.set(id, {
+      ...SLCRevocation, id,
+      credentialSubject: {
+        ...SLCRevocation.credentialSubject, id: `${id}#list`,
+        encodedList: 'invalid'
+      }
+    });
+    const credentialStatus = _createEntry({statusListCredential: id});
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: StatusListDecodeError,
+      code: 'ERR_STATUS_LIST_DECODE', credentialStatus
+    });
+    should.exist(result.error.cause);
+  });
+
+  it('should report an invalid entry', async () => {
+    const credentialStatus = _createEntry();
+    delete credentialStatus.statusPurpose;
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false
+    });
+    _assertError({
+      result, ErrorClass: InvalidStatusEntryError,
+      code: 'ERR_INVALID_STATUS_ENTRY', credentialStatus
+    });
+    result.error.message.should.equal(
+      '"credentialStatus.statusPurpose" must be a string.');
+  });
+
+  it('should report the entry of each error of a shared list', async () => {
+    const statusListCredential = 'https://example.com/status/missing';
+    const credentialStatus = [
+      _createEntry({index: 1, statusListCredential}),
+      _createEntry({index: 2, statusListCredential})
+    ];
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader: async url => {
+        throw new Error(`"${url}" not found.`);
+      },
+      verifyStatusListCredential: false,
+      cache: new StatusListCache()
+    });
+    result.verified.should.equal(false);
+    result.results[0].error.credentialStatus.should.equal(
+      credentialStatus[0]);
+    result.results[1].error.credentialStatus.should.equal(
+      credentialStatus[1]);
+    result.results[0].error.code.should.equal('ERR_STATUS_LIST_NOT_FOUND');
+  });
+});
+
+describe('strict mode', () => {
+  const issuer = SLCRevocation.issuer;
+
+  it('should report every violation of an entry', async () => {
+    const credential = _createCredential({
+      credentialStatus: {
+        id: 'https://example.com/status/1#12',
+        type: 'StatusList2021Entry',
+        statusPurpose: 'revocation',
+        statusListIndex: '12abc',
+        statusListCredential: 'status list 1'
+      }
+    });
+    // the index is checked loosely without strict mode
+    const loose = {
+      ...credential,
+      credentialStatus: {
+        ...credential.credentialStatus,
+        statusListCredential: 'https://example.com/status/1'
+      }
+    };
+    should.exist(
+      getCredentialStatus({credential: loose, statusPurpose: 'revocation'}));
+    let err;
+    try {
+      getCredentialStatus(
+        {credential, statusPurpose: 'revocation', strict: true});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceof(InvalidStatusEntryError);
+    err.credentialStatus.should.equal(credential.credentialStatus);
+    err.violations.should.deep.equal([
+      '"credentialStatus.statusListCredential" must be a URL.',
+      '"statusListIndex" must be a string of decimal digits that ' +
+        'represents a non-negative integer.'
+    ]);
+    err.message.should.equal(
+      '"credentialStatus" does not conform to the specification: ' +
+      err.violations.join(' '));
+  });
+
+  it('should reject a negative index', async () => {
+    const credential = _createCredential({entry: {index: -5}});
+    const result = await checkStatus({
+      credential, documentLoader, verifyStatusListCredential: false,
+      strict: true
+    });
+    result.verified.should.equal(false);
+    result.error.should.be.instanceof(InvalidStatusEntryError);
+    result.error.violations.length.should.equal(1);
+  });
+
+  it('should report the violations of each entry', async () => {
+    const credentialStatus = [
+      _createEntry({index: -5}),
+      {
+        ..._createEntry({
+          statusListCredential: SLCSuspension.id, index: '12abc',
+          statusPurpose: 'suspension'
+        }),
+        id: 'status 2'
+      }
+    ];
+    const result = await checkStatus({
+      credential: _createCredential({credentialStatus}),
+      documentLoader, verifyStatusListCredential: false, strict: true
+    });
+    result.verified.should.equal(false);
+    result.error.should.equal(result.results[0].error);
+    result.results.length.should.equal(2);
+    for(const [i, {error}] of result.results.entries()) {
+      error.should.be.instanceof(InvalidStatusEntryError);
+      error.credentialStatus.should.equal(credentialStatus[i]);
+    }
+    result.results[0].error.violations.length.should.equal(1);
+    result.results[1].error.violations.should.deep.equal([
+      '"credentialStatus.id" must be a URL.',
+      '"statusListIndex" must be a string of decimal digits that ' +
+      'represents a non-negative integer.'
+    ]);
+  });
+
+  it('should reject a list shorter than 16KB', async () => {
+    const credentialStatus = _createEntry({index: 50000});
+    const credential = _createCredential({credentialStatus});
+    let result = await checkStatus(
+      {credential, documentLoader, verifyStatusListCredential: false});
+    should.not.exist(result.error);
+    result = await checkStatus({
+      credential, documentLoader, verifyStatusListCredential: false,
+      strict: true
+    });
+    result.verified.should.equal(false);
+    result.error.should.be.instanceof(InvalidStatusListError);
+    result.error.code.should.equal('ERR_INVALID_STATUS_LIST');
+    result.error.credentialStatus.should.equal(credentialStatus);
+    result.error.violations.should.deep.equal([
+      'The status list must have at least 131072 bits; it has 100000.'
+    ]);
+  });
+
+  it('should accept a conforming list', async () => {
+    const id = 'https://example.com/status/strict/1';
+    const list = await createList({length: 131072});
+    list.setStatus(7, true);
+    documents.set(id, await createCredential(
+      {id, list, statusPurpose: 'revocation', issuer}));
+    const result = await checkStatus({
+      credential: _createCredential(
+        {entry: {statusListCredential: id, index: 7}}),
+      documentLoader, verifyStatusListCredential: false, strict: true
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+  });
+
+  it('should require a multibase Bitstring Status List', async () => {
+    const id = 'https://example.com/status/strict/bitstring/1';
+    const list = await createList({length: 131072});
+    const slCredential = await createCredential({
+      id, list, statusPurpose: 'revocation', issuer,
+      type: 'BitstringStatusListCredential'
+    });
+    slCredential.credentialSubject.encodedList =
+      slCredential.credentialSubject.encodedList.slice(1);
+    documents.set(id, slCredential);
+    const result = await checkStatus({
+      credential: _createCredential({
+        entry: {
+          type: 'BitstringStatusListEntry', statusListCredential: id, index: 7
+        }
+      }),
+      documentLoader, verifyStatusListCredential: false, strict: true
+    });
+    result.error.should.be.instanceof(InvalidStatusListError);
+    result.error.violations.should.deep.equal([
+      '"encodedList" must be a multibase base64url encoded value starting ' +
+      'with "u".'
+    ]);
+  });
+
+  it('should decode only conforming lists', async () => {
+    const small = await createList({length: 8});
+    let err;
+    try {
+      await decodeList({encodedList: await small.encode(), strict: true});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.should.be.instanceof(InvalidStatusListError);
+    err.violations.should.deep.equal([
+      'The status list must have at least 131072 bits; it has 8.'
+    ]);
+    const list = await createList({length: 65536, statusSize: 2});
+    const decoded = await decodeList({
+      encodedList: await list.encode(), statusSize: 2, strict: true
+    });
+    decoded.length.should.equal(65536);
+  });
+});
+
+describe('validateStatusListCredential', () => {
+  const encodedListPath = 'credentialSubject.encodedList';
+  const tooShort = {
+    path: encodedListPath,
+    message: 'The status list must have at least 131072 bits; it has 100000.'
+  };
+
+  it('should accept a conforming credential', async () => {
+    const credential = await createCredential({
+      id: 'https://example.com/status/1',
+      list: await createList({length: 131072}),
+      statusPurpose: 'revocation'
+    });
+    const result = await validateStatusListCredential({credential});
+    result.should.deep.equal({valid: true, findings: []});
+  });
+
+  it('should report a list that is too short', async () => {
+    for(const credential of [SLCRevocation, BSCRevocation, RLC]) {
+      const result = await validateStatusListCredential({credential});
+      result.should.deep.equal({valid: false, findings: [tooShort]});
+    }
+  });
+
+  it('should report every finding', async () => {
+    const credential = {
+      ...SLCRevocation,
+      '@context': [VC_SL_CONTEXT_URL, 'https://www.w3.org/2018/credentials/v1'],
+      type: ['StatusList2021Credential'],
+      credentialSubject: {
+        id: 'https://example.com/status/2#list',
+        type: 'BitstringStatusList',
+        encodedList: SLCRevocation.credentialSubject.encodedList
+      }
+    };
+    const result = await validateStatusListCredential({credential});
+    result.valid.should.equal(false);
+    result.findings.should.deep.equal([{
+      path: '@context',
+      message: 'The first "@context" value must be ' +
+        '"https://www.w3.org/2018/credentials/v1".'
+    }, {
+      path: 'type',
+      message: '"type" must include "VerifiableCredential".'
+    }, {
+      path: 'credentialSubject.type',
+      message: '"credentialSubject.type" must be "StatusList2021".'
+    }, {
+      path: 'credentialSubject.statusPurpose',
+      message: '"credentialSubject.statusPurpose" must be a string.'
+    }, tooShort, {
+      path: 'credentialSubject.id',
+      message: '"credentialSubject.id" must be the "id" of the credential ' +
+        'with a fragment, such as "#list".'
+    }]);
+  });
+
+  it('should report an invalid "encodedList"', async () => {
+    const _validate = encodedList => validateStatusListCredential({
+      credential: {
+        ...BSCRevocation,
+        credentialSubject: {...BSCRevocation.credentialSubject, encodedList}
+      }
+    });
+    let result = await _validate('uH4sInotgzip');
+    result.findings.length.should.equal(1);
+    result.findings[0].path.should.equal(encodedListPath);
+    result.findings[0].message.should.match(
+      /^"credentialSubject.encodedList" must be a GZIP compressed, base64url /);
+    result = await _validate(SLCRevocation.credentialSubject.encodedList);
+    result.findings.should.deep.equal([{
+      path: encodedListPath,
+      message: '"credentialSubject.encodedList" must be a multibase ' +
+        'base64url encoded value starting with "u".'
+    }]);
+    result = await validateStatusListCredential({
+      credential: {
+        ...SLCRevocation,
+        credentialSubject: {
+          ...SLCRevocation.credentialSubject,
+          encodedList: BSCRevocation.credentialSubject.encodedList
+        }
+      }
+    });
+    result.findings.should.deep.equal([{
+      path: encodedListPath,
+      message: '"credentialSubject.encodedList" must not be multibase ' +
+        'encoded.'
+    }]);
+  });
+
+  it('should fail with a non-object credential', async () => {
+    let err;
+    try {
+      await validateStatusListCredential({credential: 'foo'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"credential" must be an object.');
+  });
+});
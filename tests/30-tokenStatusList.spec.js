@@ -0,0 +1,369 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  checkMdocStatus, checkTokenStatus, createStatusListCwt,
+  createStatusListToken, decodeStatusListCwt, decodeStatusListToken,
+  StatusList, TOKEN_STATUS
+} from '../lib/index.js';
+import * as cborg from 'cborg';
+
+const uri = 'https://example.com/statuslists/1';
+
+// a mock signer/verifier pair; the "signature" is the reversed data
+const signer = {
+  id: 'https://example.com/keys/1',
+  algorithm: 'ES256',
+  async sign({data}) {
+    return Uint8Array.from(data).reverse();
+  }
+};
+const verifier = {
+  async verify({data, signature}) {
+    const expected = Uint8Array.from(data).reverse();
+    return expected.length === signature.length &&
+      expected.every((b, i) => b === signature[i]);
+  }
+};
+
+describe('Token Status List', () => {
+  describe('StatusList', () => {
+    it('should encode the example list from the spec', async () => {
+      const list = new StatusList({length: 16});
+      [0, 3, 4, 5, 7, 8, 9, 13, 15].forEach(i => list.setStatus(i, true));
+      const lst = await list.encodeTokenList();
+      lst.should.equal('eNrbuRgAAhcBXQ');
+    });
+
+    it('should decode the 2-bit example list from the spec', async () => {
+      const list = await StatusList.decodeTokenList(
+        {lst: 'eNo76fITAAPfAgc', bits: 2});
+      list.length.should.equal(12);
+      [1, 2, 0, 3, 0, 1, 0, 1, 1, 2, 3, 3].forEach(
+        (status, i) => list.getStatus(i).should.equal(status));
+    });
+
+    it('should fail to decode with unsupported "bits"', async () => {
+      let err;
+      try {
+        await StatusList.decodeTokenList({lst: 'eNrbuRgAAhcBXQ', bits: 3});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.equal('"bits" must be one of 1, 2, 4, 8.');
+    });
+
+    it('should fail to decode an invalid list', async () => {
+      let err;
+      try {
+        await StatusList.decodeTokenList({lst: 'INVALID', bits: 1});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.include('Could not decode encoded status list');
+    });
+  });
+
+  describe('createStatusListToken', () => {
+    it('should create a token', async () => {
+      const list = new StatusList({length: 16, statusSize: 2});
+      list.setStatus(3, TOKEN_STATUS.SUSPENDED);
+      const token = await createStatusListToken({
+        list, uri, signer, issuedAt: new Date('2024-01-01T00:00:00Z'),
+        ttl: 3600
+      });
+      token.split('.').length.should.equal(3);
+      const {header, payload, list: decoded} = await decodeStatusListToken(
+        {token});
+      header.should.deep.equal(
+        {alg: 'ES256', typ: 'statuslist+jwt', kid: signer.id});
+      payload.sub.should.equal(uri);
+      payload.iat.should.equal(1704067200);
+      payload.ttl.should.equal(3600);
+      payload.status_list.bits.should.equal(2);
+      decoded.getStatus(3).should.equal(TOKEN_STATUS.SUSPENDED);
+    });
+
+    it('should fail without a "signer"', async () => {
+      let err;
+      try {
+        await createStatusListToken(
+          {list: new StatusList({length: 8}), uri});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('checkTokenStatus', () => {
+    const expiringUri = 'https://example.com/statuslists/expiring';
+    const tokens = new Map();
+    const documentLoader = async url => {
+      const document = tokens.get(url);
+      if(!document) {
+        throw new Error(`Document loader unable to load URL "${url}".`);
+      }
+      return {documentUrl: url, document};
+    };
+
+    before(async () => {
+      const list = new StatusList({length: 16, statusSize: 2});
+      list.setStatus(1, TOKEN_STATUS.INVALID);
+      list.setStatus(2, TOKEN_STATUS.SUSPENDED);
+      tokens.set(uri, await createStatusListToken({list, uri, signer}));
+      tokens.set('https://example.com/statuslists/other',
+        await createStatusListToken({list, uri, signer}));
+      tokens.set(expiringUri, await createStatusListToken({
+        list, uri: expiringUri, signer,
+        issuedAt: new Date('2024-01-01T00:00:00Z'),
+        expiresAt: new Date('2024-01-02T00:00:00Z')
+      }));
+    });
+
+    function _claims({idx, uri: statusListUri = uri}) {
+      return {status: {status_list: {idx, uri: statusListUri}}};
+    }
+
+    it('should verify a valid status', async () => {
+      const result = await checkTokenStatus(
+        {claims: _claims({idx: 0}), documentLoader, verifier});
+      should.not.exist(result.error);
+      result.verified.should.equal(true);
+      result.status.should.equal(TOKEN_STATUS.VALID);
+    });
+
+    it('should return a suspended status', async () => {
+      const result = await checkTokenStatus(
+        {claims: _claims({idx: 2}), documentLoader, verifier});
+      should.not.exist(result.error);
+      result.verified.should.equal(false);
+      result.status.should.equal(TOKEN_STATUS.SUSPENDED);
+    });
+
+    it('should fail when the signature does not verify', async () => {
+      const result = await checkTokenStatus({
+        claims: _claims({idx: 0}),
+        documentLoader,
+        verifier: {verify: async () => false}
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.equal('"statuslist+jwt" not verified.');
+    });
+
+    it('should fail when "sub" does not match "uri"', async () => {
+      const result = await checkTokenStatus({
+        claims: _claims({idx: 0, uri: 'https://example.com/statuslists/other'}),
+        documentLoader,
+        verifier
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.contain('does not match');
+    });
+
+    it('should fail when the token cannot be loaded', async () => {
+      const result = await checkTokenStatus({
+        claims: _claims({idx: 0, uri: 'https://example.com/missing'}),
+        documentLoader,
+        verifier
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.contain(
+        'Could not load "statuslist+jwt"');
+    });
+
+    it('should check the expiry of the token at "now"', async () => {
+      const claims = _claims({idx: 0, uri: expiringUri});
+      let result = await checkTokenStatus({
+        claims, documentLoader, verifier,
+        now: new Date('2024-01-01T12:00:00Z')
+      });
+      should.not.exist(result.error);
+      result.verified.should.equal(true);
+      result = await checkTokenStatus({
+        claims, documentLoader, verifier,
+        now: () => new Date('2024-01-02T00:00:00Z')
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.equal('The status list token has expired.');
+    });
+
+    it('should fail with an invalid "now"', async () => {
+      const result = await checkTokenStatus({
+        claims: _claims({idx: 0}), documentLoader, verifier,
+        now: '2024-01-01'
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.equal(
+        '"now" must be a valid Date or a function returning one.');
+    });
+
+    it('should fail without a "status_list" claim', async () => {
+      const result = await checkTokenStatus(
+        {claims: {}, documentLoader, verifier});
+      result.verified.should.equal(false);
+      result.error.message.should.equal(
+        '"status.status_list" claim is missing or invalid.');
+    });
+  });
+
+  describe('CWT', () => {
+    it('should encode and decode the CBOR "status_list" map', async () => {
+      const list = new StatusList({length: 16, statusSize: 4});
+      list.setStatus(9, 12);
+      const cbor = await list.encodeCbor();
+      const statusList = cborg.decode(cbor);
+      statusList.bits.should.equal(4);
+      statusList.lst.should.be.instanceof(Uint8Array);
+      const decoded = await StatusList.decodeCbor({cbor});
+      decoded.length.should.equal(16);
+      decoded.getStatus(9).should.equal(12);
+    });
+
+    it('should fail to decode invalid CBOR', async () => {
+      let err;
+      try {
+        await StatusList.decodeCbor({cbor: new Uint8Array([0xff])});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.include('Could not decode CBOR status list');
+    });
+
+    it('should create and decode a token', async () => {
+      const list = new StatusList({length: 16});
+      list.setStatus(5, true);
+      const cwt = await createStatusListCwt({
+        list, uri, signer, issuedAt: new Date('2024-01-01T00:00:00Z')
+      });
+      cwt.should.be.instanceof(Uint8Array);
+      const {header, payload, list: decoded} = await decodeStatusListCwt(
+        {cwt});
+      header.get(1).should.equal(-7);
+      header.get(16).should.equal('application/statuslist+cwt');
+      payload.get(2).should.equal(uri);
+      payload.get(6).should.equal(1704067200);
+      decoded.getStatus(5).should.equal(true);
+    });
+
+    it('should decode a token with an unprotected header', async () => {
+      const list = new StatusList({length: 16});
+      list.setStatus(5, true);
+      const [protectedHeader, , payload, signature] = cborg.decode(
+        await createStatusListCwt({list, uri, signer}), {useMaps: true});
+      // e.g., the `kid` (4) and `x5chain` (33) of an mdoc issuer
+      const unprotectedHeader = new Map([
+        [4, new TextEncoder().encode('key-1')],
+        [33, new Uint8Array([0x30, 0x82])]
+      ]);
+      const cwt = cborg.encode(
+        [protectedHeader, unprotectedHeader, payload, signature]);
+      const {list: decoded} = await decodeStatusListCwt({cwt});
+      decoded.getStatus(5).should.equal(true);
+      const result = await checkMdocStatus({
+        status: {status_list: {idx: 5, uri}},
+        documentLoader: async url => ({documentUrl: url, document: cwt}),
+        verifier
+      });
+      should.not.exist(result.error);
+      result.status.should.equal(TOKEN_STATUS.INVALID);
+    });
+
+    it('should fail to create a token with an unknown algorithm', async () => {
+      let err;
+      try {
+        await createStatusListCwt({
+          list: new StatusList({length: 8}), uri,
+          signer: {...signer, algorithm: 'ex:Unknown'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal(
+        'Unsupported "signer.algorithm" "ex:Unknown".');
+    });
+
+    describe('checkMdocStatus', () => {
+      const cwts = new Map();
+      const documentLoader = async url => {
+        const document = cwts.get(url);
+        if(!document) {
+          throw new Error(`Document loader unable to load URL "${url}".`);
+        }
+        return {documentUrl: url, document};
+      };
+
+      before(async () => {
+        const list = new StatusList({length: 16});
+        list.setStatus(3, true);
+        cwts.set(uri, await createStatusListCwt({list, uri, signer}));
+      });
+
+      it('should verify a valid status', async () => {
+        const result = await checkMdocStatus({
+          status: {status_list: {idx: 2, uri}}, documentLoader, verifier
+        });
+        should.not.exist(result.error);
+        result.verified.should.equal(true);
+        result.status.should.equal(TOKEN_STATUS.VALID);
+      });
+
+      it('should return an invalid status', async () => {
+        const result = await checkMdocStatus({
+          status: {status_list: {idx: 3, uri}}, documentLoader, verifier
+        });
+        should.not.exist(result.error);
+        result.verified.should.equal(false);
+        result.status.should.equal(TOKEN_STATUS.INVALID);
+      });
+
+      it('should fail when the signature does not verify', async () => {
+        const result = await checkMdocStatus({
+          status: {status_list: {idx: 2, uri}},
+          documentLoader,
+          verifier: {verify: async () => false}
+        });
+        result.verified.should.equal(false);
+        result.error.message.should.equal('"statuslist+cwt" not verified.');
+      });
+
+      it('should check the expiry of the token at "now"', async () => {
+        const expiringUri = 'https://example.com/statuslists/expiring';
+        cwts.set(expiringUri, await createStatusListCwt({
+          list: new StatusList({length: 16}), uri: expiringUri, signer,
+          issuedAt: new Date('2024-01-01T00:00:00Z'),
+          expiresAt: new Date('2024-01-02T00:00:00Z')
+        }));
+        const status = {status_list: {idx: 2, uri: expiringUri}};
+        let result = await checkMdocStatus({
+          status, documentLoader, verifier,
+          now: new Date('2024-01-01T12:00:00Z')
+        });
+        should.not.exist(result.error);
+        result.verified.should.equal(true);
+        result = await checkMdocStatus({
+          status, documentLoader, verifier,
+          now: new Date('2024-01-03T00:00:00Z')
+        });
+        result.verified.should.equal(false);
+        result.error.message.should.equal(
+          'The status list token has expired.');
+      });
+
+      it('should fail with an invalid "idx"', async () => {
+        const result = await checkMdocStatus({
+          status: {status_list: {idx: -1, uri}}, documentLoader, verifier
+        });
+        result.verified.should.equal(false);
+        result.error.message.should.equal(
+          '"status.status_list.idx" must be a non-negative integer.');
+      });
+    });
+  });
+});
@@ -0,0 +1,521 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  checkPresentationStatus, checkStatus, checkStatuses, StatusListCache
+} from '../lib/index.js';
+import {
+  slCredentialRevocation as SLCRevocation,
+  slCredentialSuspension as SLCSuspension
+} from './mock-sl-credentials.js';
+
+const credential = _createCredential();
+
+function _createCredential({slCredential = SLCRevocation, index = 50000} = {}) {
+  const {statusPurpose} = slCredential.credentialSubject;
+  return {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      'https://w3id.org/vc/status-list/2021/v1'
+    ],
+    id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+    type: ['VerifiableCredential', 'example:TestCredential'],
+    credentialSubject: {
+      id: 'urn:uuid:4886029a-7925-11ea-9274-10bf48838a41',
+      'example:test': 'foo'
+    },
+    credentialStatus: {
+      id: `${slCredential.id}#${index}`,
+      type: 'StatusList2021Entry',
+      statusPurpose,
+      statusListIndex: `${index}`,
+      statusListCredential: slCredential.id
+    },
+    issuer: slCredential.issuer
+  };
+}
+
+// a document loader that counts the loads of each URL
+function _createDocumentLoader({documents}) {
+  const loads = new Map();
+  const documentLoader = async url => {
+    loads.set(url, (loads.get(url) || 0) + 1);
+    const document = documents.get(url);
+    if(!document) {
+      throw new Error(`"${url}" not found.`);
+    }
+    return {contextUrl: null, documentUrl: url, document};
+  };
+  return {documentLoader, loads};
+}
+
+describe('StatusListCache', () => {
+  it('should fail with an invalid "maxAge"', async () => {
+    let err;
+    try {
+      new StatusListCache({maxAge: -1});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"maxAge" must be a non-negative number.');
+  });
+
+  it('should fail with an invalid "maxEntries"', async () => {
+    let err;
+    try {
+      new StatusListCache({maxEntries: 0});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"maxEntries" must be a positive integer.');
+  });
+
+  it('should evict the least recently loaded entries', async () => {
+    const cache = new StatusListCache({maxEntries: 2});
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential: SLCRevocation};
+    };
+    const urls = ['a', 'b', 'c'].map(id => `https://example.com/status/${id}`);
+    for(const url of urls) {
+      await cache.get({url, load});
+    }
+    await cache.get({url: urls[2], load});
+    count.should.equal(3);
+    await cache.get({url: urls[0], load});
+    count.should.equal(4);
+    should.exist(cache.getFallback({url: urls[0], maxAge: 1000}));
+    should.not.exist(cache.getFallback({url: urls[1], maxAge: 1000}));
+  });
+
+  it('should remove expired entries', async () => {
+    let now = new Date('2023-01-01T00:00:00Z');
+    const cache = new StatusListCache({maxAge: 1000, now: () => now});
+    const load = async () => ({slCredential: SLCRevocation});
+    await cache.get({url: 'https://example.com/status/a', load});
+    now = new Date('2023-01-01T00:00:01Z');
+    await cache.get({url: 'https://example.com/status/b', load});
+    [...cache._entries.values()].map(({url}) => url).should.deep.equal(
+      ['https://example.com/status/b']);
+    cache._lastGood.size.should.equal(2);
+  });
+
+  it('should merge concurrent loads of the same URL', async () => {
+    const cache = new StatusListCache();
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential: SLCRevocation, listVerified: true};
+    };
+    const entries = await Promise.all([
+      cache.get({url: SLCRevocation.id, verified: true, load}),
+      cache.get({url: SLCRevocation.id, verified: true, load})
+    ]);
+    count.should.equal(1);
+    entries[0].should.equal(entries[1]);
+    entries[0].slCredential.should.equal(SLCRevocation);
+    entries[0].listVerified.should.equal(true);
+  });
+
+  it('should keep verified and unverified entries apart', async () => {
+    const cache = new StatusListCache();
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential: SLCRevocation, listVerified: false};
+    };
+    await cache.get({url: SLCRevocation.id, verified: false, load});
+    await cache.get({url: SLCRevocation.id, verified: true, load});
+    count.should.equal(2);
+  });
+
+  it('should keep entries verified by different verifiers apart',
+    async () => {
+      const cache = new StatusListCache();
+      let count = 0;
+      const load = async () => {
+        count++;
+        return {slCredential: SLCRevocation, listVerified: true};
+      };
+      const suite = {};
+      const documentLoader = async () => {};
+      const url = SLCRevocation.id;
+      await cache.get({url, verified: true, verifier: {suite}, load});
+      await cache.get(
+        {url, verified: true, verifier: {suite: [suite]}, load});
+      count.should.equal(1);
+      await cache.get(
+        {url, verified: true, verifier: {suite, documentLoader}, load});
+      count.should.equal(2);
+      await cache.get({url, verified: true, verifier: {suite: {}}, load});
+      count.should.equal(3);
+      should.not.exist(cache.getFallback(
+        {url, verified: true, verifier: {suite: {}}, maxAge: 1000}));
+      should.exist(cache.getFallback(
+        {url, verified: true, verifier: {suite}, maxAge: 1000}));
+      cache.delete({url});
+      await cache.get({url, verified: true, verifier: {suite}, load});
+      count.should.equal(4);
+    });
+
+  it('should reload an entry after "maxAge"', async () => {
+    let now = new Date('2023-01-01T00:00:00Z');
+    const cache = new StatusListCache({maxAge: 1000, now: () => now});
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential: SLCRevocation, listVerified: false};
+    };
+    await cache.get({url: SLCRevocation.id, load});
+    now = new Date('2023-01-01T00:00:00.999Z');
+    await cache.get({url: SLCRevocation.id, load});
+    count.should.equal(1);
+    now = new Date('2023-01-01T00:00:01Z');
+    await cache.get({url: SLCRevocation.id, load});
+    count.should.equal(2);
+  });
+
+  it('should reload an entry after its "ttl"', async () => {
+    let now = new Date('2023-01-01T00:00:00Z');
+    const cache = new StatusListCache({now: () => now});
+    const slCredential = {
+      ...SLCRevocation,
+      credentialSubject: {...SLCRevocation.credentialSubject, ttl: 500}
+    };
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential, listVerified: false};
+    };
+    await cache.get({url: SLCRevocation.id, load});
+    now = new Date('2023-01-01T00:00:00.500Z');
+    await cache.get({url: SLCRevocation.id, load});
+    count.should.equal(2);
+  });
+
+  it('should reload an entry after its "expirationDate"', async () => {
+    let now = new Date('2023-01-01T00:00:00Z');
+    const cache = new StatusListCache({now: () => now});
+    const slCredential = {
+      ...SLCRevocation,
+      expirationDate: '2023-01-01T00:00:10Z'
+    };
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential, listVerified: false};
+    };
+    await cache.get({url: SLCRevocation.id, load});
+    now = new Date('2023-01-01T00:00:10Z');
+    await cache.get({url: SLCRevocation.id, load});
+    count.should.equal(2);
+  });
+
+  it('should not cache failed loads', async () => {
+    const cache = new StatusListCache();
+    let count = 0;
+    const load = async () => {
+      if(count++ === 0) {
+        throw new Error('Network error.');
+      }
+      return {slCredential: SLCRevocation, listVerified: false};
+    };
+    let err;
+    try {
+      await cache.get({url: SLCRevocation.id, load});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal('Network error.');
+    const entry = await cache.get({url: SLCRevocation.id, load});
+    entry.slCredential.should.equal(SLCRevocation);
+    count.should.equal(2);
+  });
+
+  it('should remove entries', async () => {
+    const cache = new StatusListCache();
+    let count = 0;
+    const load = async () => {
+      count++;
+      return {slCredential: SLCRevocation, listVerified: false};
+    };
+    await cache.get({url: SLCRevocation.id, load});
+    cache.delete({url: SLCRevocation.id});
+    await cache.get({url: SLCRevocation.id, load});
+    cache.clear();
+    await cache.get({url: SLCRevocation.id, load});
+    count.should.equal(3);
+  });
+
+  describe('checkStatus', () => {
+    it('should load a status list once across calls', async () => {
+      const {documentLoader, loads} = _createDocumentLoader(
+        {documents: new Map([[SLCRevocation.id, SLCRevocation]])});
+      const cache = new StatusListCache();
+      const results = await Promise.all([1, 2, 3].map(() => checkStatus({
+        credential, documentLoader, verifyStatusListCredential: false, cache
+      })));
+      for(const result of results) {
+        should.not.exist(result.error);
+        result.verified.should.equal(false);
+        result.results[0].status.should.equal(1);
+      }
+      loads.get(SLCRevocation.id).should.equal(1);
+    });
+
+    it('should not cache a list that fails to load', async () => {
+      const documents = new Map();
+      const {documentLoader, loads} = _createDocumentLoader({documents});
+      const cache = new StatusListCache();
+      let result = await checkStatus({
+        credential, documentLoader, verifyStatusListCredential: false, cache
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.contain(
+        'Could not load "StatusList2021Credential"');
+      documents.set(SLCRevocation.id, SLCRevocation);
+      result = await checkStatus({
+        credential, documentLoader, verifyStatusListCredential: false, cache
+      });
+      should.not.exist(result.error);
+      result.results[0].status.should.equal(1);
+      loads.get(SLCRevocation.id).should.equal(2);
+    });
+
+    it('should fall back on the last list loaded', async () => {
+      const documents = new Map([[SLCRevocation.id, SLCRevocation]]);
+      const {documentLoader} = _createDocumentLoader({documents});
+      let now = new Date('2023-01-01T00:00:00Z');
+      const cache = new StatusListCache({maxAge: 1000, now: () => now});
+      const options = {
+        credential, documentLoader, verifyStatusListCredential: false, cache,
+        maxFallbackAge: 60000
+      };
+      let result = await checkStatus(options);
+      should.not.exist(result.error);
+      should.not.exist(result.results[0].stale);
+      should.not.exist(result.results[0].source);
+
+      // the issuer endpoint is down after the entry expired
+      documents.delete(SLCRevocation.id);
+      now = new Date('2023-01-01T00:01:00Z');
+      result = await checkStatus(options);
+      should.not.exist(result.error);
+      result.verified.should.equal(false);
+      result.results[0].status.should.equal(1);
+      result.results[0].stale.should.equal(true);
+      result.results[0].source.should.equal('fallback');
+
+      // the last list loaded is too old
+      now = new Date('2023-01-01T00:01:00.001Z');
+      result = await checkStatus(options);
+      result.verified.should.equal(false);
+      result.error.message.should.contain(
+        'Could not load "StatusList2021Credential"');
+    });
+
+    it('should not fall back unless "maxFallbackAge" is given', async () => {
+      const documents = new Map([[SLCRevocation.id, SLCRevocation]]);
+      const {documentLoader} = _createDocumentLoader({documents});
+      let now = new Date('2023-01-01T00:00:00Z');
+      const cache = new StatusListCache({maxAge: 1000, now: () => now});
+      const options = {
+        credential, documentLoader, verifyStatusListCredential: false, cache
+      };
+      await checkStatus(options);
+      documents.delete(SLCRevocation.id);
+      now = new Date('2023-01-01T00:00:01Z');
+      const result = await checkStatus(options);
+      result.verified.should.equal(false);
+      result.error.message.should.contain(
+        'Could not load "StatusList2021Credential"');
+    });
+
+    it('should fail with "maxFallbackAge" but no "cache"', async () => {
+      const {documentLoader} = _createDocumentLoader({documents: new Map()});
+      const result = await checkStatus({
+        credential, documentLoader, verifyStatusListCredential: false,
+        maxFallbackAge: 1000
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.equal('"maxFallbackAge" requires a "cache".');
+    });
+
+    it('should fail with an invalid "cache"', async () => {
+      const {documentLoader} = _createDocumentLoader({documents: new Map()});
+      const result = await checkStatus({
+        credential, documentLoader, verifyStatusListCredential: false,
+        cache: {}
+      });
+      result.verified.should.equal(false);
+      result.error.message.should.equal(
+        '"cache" must be a "StatusListCache".');
+    });
+  });
+});
+
+describe('checkStatuses', () => {
+  it('should fail when "credentials" is not an array', async () => {
+    let err;
+    try {
+      await checkStatuses({credentials: credential});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"credentials" must be an array.');
+  });
+
+  it('should load each status list once', async () => {
+    const {documentLoader, loads} = _createDocumentLoader({
+      documents: new Map([
+        [SLCRevocation.id, SLCRevocation],
+        [SLCSuspension.id, SLCSuspension]
+      ])
+    });
+    const credentials = [
+      _createCredential({slCredential: SLCRevocation, index: 50000}),
+      _createCredential({slCredential: SLCSuspension, index: 50000}),
+      _createCredential({slCredential: SLCRevocation, index: 1}),
+      _createCredential({slCredential: SLCSuspension, index: 2})
+    ];
+    const results = await checkStatuses({
+      credentials, documentLoader, verifyStatusListCredential: false
+    });
+    results.map(({verified}) => verified).should.eql(
+      [false, false, true, true]);
+    results[0].results[0].statusPurpose.should.equal('revocation');
+    results[1].results[0].statusPurpose.should.equal('suspension');
+    loads.get(SLCRevocation.id).should.equal(1);
+    loads.get(SLCSuspension.id).should.equal(1);
+  });
+
+  it('should return a result for each credential', async () => {
+    const {documentLoader} = _createDocumentLoader(
+      {documents: new Map([[SLCRevocation.id, SLCRevocation]])});
+    const results = await checkStatuses({
+      credentials: [
+        _createCredential({slCredential: SLCRevocation, index: 1}),
+        {...credential, credentialStatus: undefined}
+      ],
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    results.length.should.equal(2);
+    results[0].verified.should.equal(true);
+    results[1].verified.should.equal(false);
+    should.exist(results[1].error);
+  });
+
+  it('should use a given cache', async () => {
+    const {documentLoader, loads} = _createDocumentLoader(
+      {documents: new Map([[SLCRevocation.id, SLCRevocation]])});
+    const cache = new StatusListCache();
+    const credentials = [
+      _createCredential({slCredential: SLCRevocation, index: 1})
+    ];
+    await checkStatuses({
+      credentials, documentLoader, verifyStatusListCredential: false, cache
+    });
+    await checkStatuses({
+      credentials, documentLoader, verifyStatusListCredential: false, cache
+    });
+    loads.get(SLCRevocation.id).should.equal(1);
+  });
+});
+
+describe('checkPresentationStatus', () => {
+  const documents = new Map([
+    [SLCRevocation.id, SLCRevocation],
+    [SLCSuspension.id, SLCSuspension]
+  ]);
+
+  function _createPresentation({verifiableCredential}) {
+    return {
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiablePresentation'],
+      verifiableCredential
+    };
+  }
+
+  it('should verify a single credential', async () => {
+    const {documentLoader} = _createDocumentLoader({documents});
+    const result = await checkPresentationStatus({
+      presentation: _createPresentation({
+        verifiableCredential: _createCredential(
+          {slCredential: SLCRevocation, index: 1})
+      }),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+    result.results.length.should.equal(1);
+    result.results[0].verified.should.equal(true);
+  });
+
+  it('should check every credential and share list loads', async () => {
+    const {documentLoader, loads} = _createDocumentLoader({documents});
+    const result = await checkPresentationStatus({
+      presentation: _createPresentation({
+        verifiableCredential: [
+          _createCredential({slCredential: SLCRevocation, index: 1}),
+          _createCredential({slCredential: SLCSuspension, index: 50000}),
+          _createCredential({slCredential: SLCRevocation, index: 2})
+        ]
+      }),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    should.not.exist(result.error);
+    result.results.map(({verified}) => verified).should.eql(
+      [true, false, true]);
+    result.results[1].results[0].statusPurpose.should.equal('suspension');
+    loads.get(SLCRevocation.id).should.equal(1);
+    loads.get(SLCSuspension.id).should.equal(1);
+  });
+
+  it('should return the first credential error', async () => {
+    const {documentLoader} = _createDocumentLoader({documents});
+    const result = await checkPresentationStatus({
+      presentation: _createPresentation({
+        verifiableCredential: [
+          _createCredential({slCredential: SLCRevocation, index: 1}),
+          {...credential, credentialStatus: undefined}
+        ]
+      }),
+      documentLoader,
+      verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    should.exist(result.error);
+    result.error.should.equal(result.results[1].error);
+  });
+
+  it('should fail without credentials', async () => {
+    const {documentLoader} = _createDocumentLoader({documents});
+    const result = await checkPresentationStatus({
+      presentation: _createPresentation({verifiableCredential: []}),
+      documentLoader
+    });
+    result.verified.should.equal(false);
+    result.error.name.should.equal('TypeError');
+    result.error.message.should.equal(
+      '"presentation.verifiableCredential" must be a credential or a ' +
+      'non-empty array of credentials.');
+  });
+
+  it('should fail when "presentation" is not an object', async () => {
+    const result = await checkPresentationStatus({presentation: 'foo'});
+    result.verified.should.equal(false);
+    result.error.message.should.equal('"presentation" must be an object.');
+  });
+});
@@ -0,0 +1,253 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {checkStatus, StatusListManager} from '../lib/index.js';
+
+const issuer = 'did:key:z6MkesAkkxuETfHCMdv3gRTKr6iFiQZMjGT5pM8745oSzGX1';
+
+function _createDocumentLoader({manager}) {
+  return async url => {
+    const document = await manager.createStatusListCredential({id: url});
+    document.issuer = issuer;
+    return {contextUrl: null, documentUrl: url, document};
+  };
+}
+
+function _createCredential({id, credentialStatus}) {
+  return {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      'https://w3id.org/vc/status-list/2021/v1'
+    ],
+    id,
+    type: ['VerifiableCredential'],
+    credentialSubject: {id: 'did:example:1234'},
+    credentialStatus,
+    issuer
+  };
+}
+
+describe('StatusListManager', () => {
+  it('should fail without "baseUrl"', async () => {
+    let err;
+    try {
+      new StatusListManager();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"baseUrl" must be a string.');
+  });
+
+  it('should fail with an unsupported "type"', async () => {
+    let err;
+    try {
+      new StatusListManager({
+        baseUrl: 'https://example.com/status',
+        type: 'RevocationList2020Credential'
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal('"type" must be one of ' +
+      '"StatusList2021Credential", "BitstringStatusListCredential".');
+  });
+
+  it('should allocate indexes and emit entries', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status/'});
+    const first = await manager.allocate({credentialId: 'urn:uuid:1'});
+    first.should.eql({
+      id: 'https://example.com/status/1#0',
+      type: 'StatusList2021Entry',
+      statusPurpose: 'revocation',
+      statusListIndex: '0',
+      statusListCredential: 'https://example.com/status/1'
+    });
+    const second = await manager.allocate({credentialId: 'urn:uuid:2'});
+    second.statusListIndex.should.equal('1');
+    second.statusListCredential.should.equal('https://example.com/status/1');
+  });
+
+  it('should use a separate list for each status purpose', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status'});
+    const revocation = await manager.allocate({credentialId: 'urn:uuid:1'});
+    const suspension = await manager.allocate(
+      {credentialId: 'urn:uuid:1', statusPurpose: 'suspension'});
+    revocation.statusListCredential.should.equal(
+      'https://example.com/status/1');
+    suspension.statusListCredential.should.equal(
+      'https://example.com/status/2');
+    suspension.statusListIndex.should.equal('0');
+    const slCredential = await manager.createStatusListCredential(
+      {id: suspension.statusListCredential});
+    slCredential.credentialSubject.statusPurpose.should.equal('suspension');
+  });
+
+  it('should emit Bitstring Status List entries', async () => {
+    const manager = new StatusListManager({
+      baseUrl: 'https://example.com/status',
+      type: 'BitstringStatusListCredential'
+    });
+    const entry = await manager.allocate({credentialId: 'urn:uuid:1'});
+    entry.type.should.equal('BitstringStatusListEntry');
+    const slCredential = await manager.createStatusListCredential(
+      {id: entry.statusListCredential});
+    slCredential.type.should.include('BitstringStatusListCredential');
+  });
+
+  it('should open a new list when the current one is full', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status', length: 8});
+    const entries = [];
+    for(let i = 0; i < 9; ++i) {
+      entries.push(await manager.allocate({credentialId: `urn:uuid:${i}`}));
+    }
+    entries[7].statusListCredential.should.equal(
+      'https://example.com/status/1');
+    entries[7].statusListIndex.should.equal('7');
+    entries[8].statusListCredential.should.equal(
+      'https://example.com/status/2');
+    entries[8].statusListIndex.should.equal('0');
+    (await manager.getListIds()).should.eql([
+      'https://example.com/status/1',
+      'https://example.com/status/2'
+    ]);
+  });
+
+  it('should allocate random indexes', async () => {
+    const manager = new StatusListManager({
+      baseUrl: 'https://example.com/status', length: 16, allocation: 'random'
+    });
+    const entries = [];
+    for(let i = 0; i < 17; ++i) {
+      entries.push(await manager.allocate({credentialId: `urn:uuid:${i}`}));
+    }
+    const indexes = entries.slice(0, 16).map(
+      ({statusListIndex}) => parseInt(statusListIndex, 10));
+    [...indexes].sort((a, b) => a - b).should.eql([...Array(16).keys()]);
+    entries.slice(0, 16).every(({statusListCredential}) =>
+      statusListCredential === 'https://example.com/status/1')
+      .should.equal(true);
+    entries[16].statusListCredential.should.equal(
+      'https://example.com/status/2');
+  });
+
+  it('should fail to allocate a status purpose twice', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status'});
+    await manager.allocate({credentialId: 'urn:uuid:1'});
+    let err;
+    try {
+      await manager.allocate({credentialId: 'urn:uuid:1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'Credential "urn:uuid:1" already has a "revocation" status entry.');
+  });
+
+  it('should revoke a credential', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status'});
+    const documentLoader = _createDocumentLoader({manager});
+    const credentialStatus = await manager.allocate(
+      {credentialId: 'urn:uuid:1'});
+    const credential = _createCredential(
+      {id: 'urn:uuid:1', credentialStatus});
+    let result = await checkStatus(
+      {credential, documentLoader, verifyStatusListCredential: false});
+    should.not.exist(result.error);
+    result.verified.should.equal(true);
+    await manager.revoke({credentialId: 'urn:uuid:1'});
+    result = await checkStatus(
+      {credential, documentLoader, verifyStatusListCredential: false});
+    result.verified.should.equal(false);
+    result.results[0].status.should.equal(1);
+  });
+
+  it('should suspend and unsuspend a credential', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status'});
+    const documentLoader = _createDocumentLoader({manager});
+    const credentialStatus = await manager.allocate(
+      {credentialId: 'urn:uuid:1', statusPurpose: 'suspension'});
+    const credential = _createCredential(
+      {id: 'urn:uuid:1', credentialStatus});
+    await manager.suspend({credentialId: 'urn:uuid:1'});
+    let result = await checkStatus(
+      {credential, documentLoader, verifyStatusListCredential: false});
+    result.verified.should.equal(false);
+    await manager.unsuspend({credentialId: 'urn:uuid:1'});
+    result = await checkStatus(
+      {credential, documentLoader, verifyStatusListCredential: false});
+    result.verified.should.equal(true);
+  });
+
+  it('should fail to revoke without a revocation entry', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status'});
+    await manager.allocate(
+      {credentialId: 'urn:uuid:1', statusPurpose: 'suspension'});
+    let err;
+    try {
+      await manager.revoke({credentialId: 'urn:uuid:1'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'Credential "urn:uuid:1" has no "revocation" status entry.');
+  });
+
+  it('should only chain lists with "chain"', async () => {
+    const baseUrl = 'https://example.com/status';
+    let manager = new StatusListManager({baseUrl});
+    const {statusListCredential: id} = await manager.allocate(
+      {credentialId: 'urn:uuid:1'});
+    let slCredential = await manager.createStatusListCredential({id});
+    should.not.exist(slCredential.credentialSubject.statusListChain);
+    slCredential['@context'].every(context => typeof context === 'string')
+      .should.equal(true);
+    (await manager.storage.getList({id})).should.not.have.property('chain');
+
+    manager = new StatusListManager(
+      {baseUrl, storage: manager.storage, chain: true});
+    slCredential = await manager.createStatusListCredential({id});
+    slCredential.credentialSubject.statusListChain.sequence.should.equal(0);
+    (await manager.storage.getList({id})).chain.should.deep.equal(
+      slCredential.credentialSubject.statusListChain);
+  });
+
+  it('should fail with an invalid "chain"', async () => {
+    let err;
+    try {
+      new StatusListManager(
+        {baseUrl: 'https://example.com/status', chain: 'yes'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"chain" must be a boolean.');
+  });
+
+  it('should fail to create an unknown list credential', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status'});
+    let err;
+    try {
+      await manager.createStatusListCredential(
+        {id: 'https://example.com/status/9'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'Status list "https://example.com/status/9" not found.');
+  });
+});
@@ -0,0 +1,146 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  FileStatusListStorage, MemoryStatusListStorage, StatusListManager
+} from '../lib/index.js';
+import {promises as fs} from 'fs';
+import os from 'os';
+import path from 'path';
+
+const list = {
+  id: 'https://example.com/status/1',
+  statusPurpose: 'revocation',
+  length: 8,
+  statusSize: 1,
+  version: 0,
+  allocated: 0,
+  encodedList: 'H4sIAAAAAAAAA2MAAI3vAtIBAAAA'
+};
+
+describe('MemoryStatusListStorage', () => {
+  it('should store lists in the order they were added', async () => {
+    const storage = new MemoryStatusListStorage();
+    await storage.putList({list});
+    await storage.putList({list: {...list, id: 'https://example.com/2'}});
+    (await storage.getListIds()).should.eql(
+      ['https://example.com/status/1', 'https://example.com/2']);
+    (await storage.getList({id: list.id})).should.eql(list);
+    should.not.exist(await storage.getList({id: 'https://example.com/3'}));
+  });
+
+  it('should update a list with the next version', async () => {
+    const storage = new MemoryStatusListStorage();
+    await storage.putList({list});
+    await storage.putList({list: {...list, allocated: 1, version: 1}});
+    const stored = await storage.getList({id: list.id});
+    stored.version.should.equal(1);
+    stored.allocated.should.equal(1);
+  });
+
+  it('should reject a concurrent list update', async () => {
+    const storage = new MemoryStatusListStorage();
+    await storage.putList({list});
+    await storage.putList({list: {...list, version: 1}});
+    let err;
+    try {
+      await storage.putList({list: {...list, version: 1}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'Status list "https://example.com/status/1" has version 1 but ' +
+      'version 2 was expected; it may have been changed concurrently.');
+  });
+
+  it('should store assignments', async () => {
+    const storage = new MemoryStatusListStorage();
+    const credentialStatus = {
+      id: `${list.id}#0`,
+      type: 'StatusList2021Entry',
+      statusPurpose: 'revocation',
+      statusListIndex: '0',
+      statusListCredential: list.id
+    };
+    await storage.putAssignment(
+      {credentialId: 'urn:uuid:1', statusPurpose: 'revocation',
+        credentialStatus});
+    (await storage.getAssignment(
+      {credentialId: 'urn:uuid:1', statusPurpose: 'revocation'}))
+      .should.eql(credentialStatus);
+    should.not.exist(await storage.getAssignment(
+      {credentialId: 'urn:uuid:1', statusPurpose: 'suspension'}));
+  });
+});
+
+describe('FileStatusListStorage', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vc-status-list-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  it('should fail without "path"', async () => {
+    let err;
+    try {
+      new FileStatusListStorage();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"path" must be a string.');
+  });
+
+  it('should start empty without a file', async () => {
+    const storage = new FileStatusListStorage(
+      {path: path.join(dir, 'status.json')});
+    (await storage.getListIds()).should.eql([]);
+  });
+
+  it('should keep state across restarts', async () => {
+    const file = path.join(dir, 'nested', 'status.json');
+    const baseUrl = 'https://example.com/status';
+    let manager = new StatusListManager({
+      baseUrl, length: 8, storage: new FileStatusListStorage({path: file})
+    });
+    await manager.allocate({credentialId: 'urn:uuid:1'});
+    await manager.allocate({credentialId: 'urn:uuid:2'});
+    await manager.revoke({credentialId: 'urn:uuid:2'});
+
+    // a new manager on the same file resumes where the first one stopped
+    manager = new StatusListManager({
+      baseUrl, length: 8, storage: new FileStatusListStorage({path: file})
+    });
+    const entry = await manager.allocate({credentialId: 'urn:uuid:3'});
+    entry.statusListIndex.should.equal('2');
+    entry.statusListCredential.should.equal(`${baseUrl}/1`);
+    (await manager.getCredentialStatus({credentialId: 'urn:uuid:2'}))
+      .statusListIndex.should.equal('1');
+    const slCredential = await manager.createStatusListCredential(
+      {id: `${baseUrl}/1`});
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    data.lists[0].encodedList.should.equal(
+      slCredential.credentialSubject.encodedList);
+    data.lists[0].version.should.equal(4);
+    data.assignments.length.should.equal(3);
+  });
+
+  it('should fail to read an invalid file', async () => {
+    const file = path.join(dir, 'status.json');
+    await fs.writeFile(file, '{');
+    const storage = new FileStatusListStorage({path: file});
+    let err;
+    try {
+      await storage.getListIds();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.contain(
+      `Could not read status list storage "${file}"; reason:`);
+  });
+});
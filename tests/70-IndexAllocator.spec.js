@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {IndexAllocator, StatusList} from '../lib/index.js';
+
+describe('IndexAllocator', () => {
+  it('should fail with an unknown "mode"', async () => {
+    let err;
+    try {
+      new IndexAllocator({length: 8, mode: 'shuffled'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"mode" must be one of sequential, random.');
+  });
+
+  it('should allocate sequential indexes', async () => {
+    const allocator = new IndexAllocator({length: 16});
+    [0, 1, 2, 3].map(() => allocator.allocate()).should.eql([0, 1, 2, 3]);
+    allocator.count.should.equal(4);
+    allocator.remaining.should.equal(12);
+  });
+
+  it('should allocate every random index exactly once', async () => {
+    const allocator = new IndexAllocator({length: 100, mode: 'random'});
+    const indexes = [];
+    while(!allocator.exhausted) {
+      indexes.push(allocator.allocate());
+    }
+    indexes.length.should.equal(100);
+    [...indexes].sort((a, b) => a - b).should.eql(
+      [...Array(100).keys()]);
+    // the chance of a random order being ascending is negligible
+    indexes.should.not.eql([...Array(100).keys()]);
+  });
+
+  it('should signal an exhausted list', async () => {
+    const allocator = new IndexAllocator({length: 2, mode: 'random'});
+    allocator.allocate();
+    allocator.allocate();
+    allocator.exhausted.should.equal(true);
+    let err;
+    try {
+      allocator.allocate();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'Status list is exhausted; no free index is left.');
+  });
+
+  it('should not reuse indexes after encode and decode', async () => {
+    const allocator = new IndexAllocator({length: 8, mode: 'random'});
+    const first = [allocator.allocate(), allocator.allocate()];
+    const encodedList = await allocator.encode();
+    const decoded = await IndexAllocator.decode(
+      {encodedList, length: 8, mode: 'random'});
+    decoded.count.should.equal(2);
+    const rest = [];
+    while(!decoded.exhausted) {
+      rest.push(decoded.allocate());
+    }
+    [...first, ...rest].sort((a, b) => a - b).should.eql(
+      [0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it('should only allocate indexes below "length"', async () => {
+    // decoded lists are padded to whole bytes
+    const allocated = new StatusList({length: 16});
+    const allocator = new IndexAllocator(
+      {allocated, length: 10, mode: 'random'});
+    const indexes = [];
+    while(!allocator.exhausted) {
+      indexes.push(allocator.allocate());
+    }
+    indexes.length.should.equal(10);
+    Math.max(...indexes).should.equal(9);
+  });
+
+  it('should not count set padding bits as allocated', async () => {
+    const allocated = new StatusList({length: 16});
+    allocated.setStatuses([3, 12], true);
+    const allocator = new IndexAllocator({allocated, length: 10});
+    allocator.count.should.equal(1);
+    allocator.remaining.should.equal(9);
+  });
+});
@@ -0,0 +1,227 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  checkStatusAt, createCredential, createList, StatusList,
+  StatusListCredentialArchive, StatusListHistory
+} from '../lib/index.js';
+
+const SL_ID = 'https://example.com/status/1';
+const ISSUER = 'did:key:z6MkesAkkxuETfHCMdv3gRTKr6iFiQZMjGT5pM8745oSzGX1';
+
+const credential = {
+  '@context': [
+    'https://www.w3.org/2018/credentials/v1',
+    'https://w3id.org/vc/status-list/2021/v1'
+  ],
+  id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+  type: ['VerifiableCredential', 'example:TestCredential'],
+  credentialSubject: {
+    id: 'urn:uuid:4886029a-7925-11ea-9274-10bf48838a41',
+    'example:test': 'foo'
+  },
+  credentialStatus: {
+    id: `${SL_ID}#7`,
+    type: 'StatusList2021Entry',
+    statusPurpose: 'revocation',
+    statusListIndex: '7',
+    statusListCredential: SL_ID
+  },
+  issuer: ISSUER
+};
+
+async function _createSlCredential({revoked, validFrom}) {
+  const list = await createList({length: 131072});
+  list.setStatus(7, revoked);
+  return createCredential({
+    id: SL_ID, list, statusPurpose: 'revocation', issuer: ISSUER, validFrom
+  });
+}
+
+describe('StatusListHistory', () => {
+  it('should answer the status of an entry at a date', async () => {
+    const history = new StatusListHistory();
+    const list = new StatusList({length: 8});
+    await history.record({list, date: new Date('2023-01-01T00:00:00Z')});
+    list.setStatus(3, true);
+    await history.record({list, date: new Date('2023-02-01T00:00:00Z')});
+    list.setStatus(3, false);
+    await history.record({list, date: new Date('2023-03-01T00:00:00Z')});
+
+    (await history.getStatus(
+      {index: 3, date: new Date('2023-01-15T00:00:00Z')})).should.equal(false);
+    (await history.getStatus(
+      {index: 3, date: new Date('2023-02-01T00:00:00Z')})).should.equal(true);
+    (await history.getStatus(
+      {index: 3, date: new Date('2023-03-15T00:00:00Z')})).should.equal(false);
+  });
+
+  it('should only record a snapshot when the list changed', async () => {
+    const history = new StatusListHistory();
+    const list = new StatusList({length: 8});
+    (await history.record(
+      {list, date: new Date('2023-01-01T00:00:00Z')})).should.equal(true);
+    (await history.record(
+      {list, date: new Date('2023-01-02T00:00:00Z')})).should.equal(false);
+    history.snapshots.length.should.equal(1);
+  });
+
+  it('should restore a history from its snapshots', async () => {
+    const history = new StatusListHistory();
+    const list = new StatusList({length: 8, statusSize: 2});
+    list.setStatus(1, 3);
+    await history.record({list, date: new Date('2023-01-01T00:00:00Z')});
+    const restored = new StatusListHistory(
+      {snapshots: JSON.parse(JSON.stringify(history.snapshots))});
+    (await restored.getStatus(
+      {index: 1, date: new Date('2023-01-01T00:00:00Z')})).should.equal(3);
+  });
+
+  it('should use the clock when no date is given', async () => {
+    const now = new Date('2023-01-01T00:00:00Z');
+    const history = new StatusListHistory({now: () => now});
+    await history.record({list: new StatusList({length: 8})});
+    history.snapshots[0].date.should.equal(now.toISOString());
+  });
+
+  it('should return no list before the first snapshot', async () => {
+    const history = new StatusListHistory();
+    await history.record({
+      list: new StatusList({length: 8}), date: new Date('2023-01-01T00:00:00Z')
+    });
+    should.not.exist(
+      await history.getList({date: new Date('2022-12-31T00:00:00Z')}));
+    let err;
+    try {
+      await history.getStatus(
+        {index: 0, date: new Date('2022-12-31T00:00:00Z')});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'No status list snapshot exists at "2022-12-31T00:00:00.000Z".');
+  });
+
+  it('should fail to record a snapshot out of order', async () => {
+    const history = new StatusListHistory();
+    const list = new StatusList({length: 8});
+    await history.record({list, date: new Date('2023-01-02T00:00:00Z')});
+    list.setStatus(0, true);
+    let err;
+    try {
+      await history.record({list, date: new Date('2023-01-01T00:00:00Z')});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal(
+      'Snapshot date "2023-01-01T00:00:00.000Z" is before the last ' +
+      'snapshot date "2023-01-02T00:00:00.000Z".');
+  });
+
+  it('should fail with an invalid "date"', async () => {
+    const history = new StatusListHistory();
+    let err;
+    try {
+      await history.getList({date: '2023-01-01'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"date" must be a valid Date.');
+  });
+});
+
+describe('StatusListCredentialArchive', () => {
+  it('should get the version current at a date', async () => {
+    const archive = new StatusListCredentialArchive();
+    const v2 = await _createSlCredential(
+      {revoked: true, validFrom: '2023-02-01T00:00:00Z'});
+    const v1 = await _createSlCredential(
+      {revoked: false, validFrom: '2023-01-01T00:00:00Z'});
+    // versions may be added in any order
+    archive.add({credential: v2});
+    archive.add({credential: v1});
+
+    archive.has({url: SL_ID}).should.equal(true);
+    archive.has({url: 'https://example.com/status/2'}).should.equal(false);
+    should.not.exist(
+      archive.get({url: SL_ID, date: new Date('2022-12-31T00:00:00Z')}));
+    archive.get({url: SL_ID, date: new Date('2023-01-31T00:00:00Z')})
+      .should.equal(v1);
+    archive.get({url: SL_ID, date: new Date('2023-02-01T00:00:00Z')})
+      .should.equal(v2);
+  });
+
+  it('should fail to add a credential without a date', async () => {
+    const archive = new StatusListCredentialArchive();
+    let err;
+    try {
+      archive.add({credential: {id: SL_ID}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal(
+      '"credential" must have a valid "validFrom" or "issuanceDate".');
+  });
+});
+
+describe('checkStatusAt', () => {
+  let archive;
+  before(async () => {
+    archive = new StatusListCredentialArchive();
+    archive.add({credential: await _createSlCredential(
+      {revoked: false, validFrom: '2023-01-01T00:00:00Z'})});
+    archive.add({credential: await _createSlCredential(
+      {revoked: true, validFrom: '2023-02-01T00:00:00Z'})});
+  });
+
+  const documentLoader = async url => {
+    throw new Error(`"${url}" not found.`);
+  };
+
+  it('should check the status against the archived version', async () => {
+    const before = await checkStatusAt({
+      credential, date: new Date('2023-01-15T00:00:00Z'), archive,
+      documentLoader, verifyStatusListCredential: false
+    });
+    should.not.exist(before.error);
+    before.verified.should.equal(true);
+
+    const after = await checkStatusAt({
+      credential, date: new Date('2023-02-15T00:00:00Z'), archive,
+      documentLoader, verifyStatusListCredential: false
+    });
+    should.not.exist(after.error);
+    after.verified.should.equal(false);
+  });
+
+  it('should fail when no version was current at the date', async () => {
+    const result = await checkStatusAt({
+      credential, date: new Date('2022-12-31T00:00:00Z'), archive,
+      documentLoader, verifyStatusListCredential: false
+    });
+    result.verified.should.equal(false);
+    should.exist(result.error);
+  });
+
+  it('should fail with an invalid "archive"', async () => {
+    const result = await checkStatusAt({
+      credential, date: new Date(), archive: {}, documentLoader
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      '"archive" must be a "StatusListCredentialArchive".');
+  });
+
+  it('should fail with an invalid "date"', async () => {
+    const result = await checkStatusAt(
+      {credential, date: 'now', archive, documentLoader});
+    result.verified.should.equal(false);
+    result.error.message.should.equal('"date" must be a valid Date.');
+  });
+});
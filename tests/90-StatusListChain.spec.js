@@ -0,0 +1,250 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  checkStatus, createCredential, createList, StatusListChain,
+  StatusListChainTracker, StatusListManager, verifyChainLink
+} from '../lib/index.js';
+
+const SL_ID = 'https://example.com/status/1';
+const issuer = 'did:key:z6MkesAkkxuETfHCMdv3gRTKr6iFiQZMjGT5pM8745oSzGX1';
+
+async function _createVersions({count}) {
+  const chain = new StatusListChain();
+  const list = await createList({length: 131072});
+  const versions = [];
+  for(let i = 0; i < count; ++i) {
+    list.setStatus(i, true);
+    versions.push(await createCredential({
+      id: SL_ID, list, statusPurpose: 'revocation', issuer, chain
+    }));
+  }
+  return versions;
+}
+
+function _createCredential({credentialStatus} = {}) {
+  return {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      'https://w3id.org/vc/status-list/2021/v1'
+    ],
+    id: 'urn:uuid:a0418a78-7924-11ea-8a23-10bf48838a41',
+    type: ['VerifiableCredential'],
+    credentialSubject: {id: 'did:example:1234'},
+    credentialStatus,
+    issuer
+  };
+}
+
+async function _check({tracker, credential}) {
+  let err;
+  try {
+    await tracker.check({credential});
+  } catch(e) {
+    err = e;
+  }
+  return err;
+}
+
+describe('StatusListChain', () => {
+  it('should link each version to the previous one', async () => {
+    const chain = new StatusListChain();
+    const first = await chain.append({encodedList: 'a'});
+    const second = await chain.append({encodedList: 'b'});
+    first.sequence.should.equal(0);
+    should.not.exist(first.previousDigest);
+    second.sequence.should.equal(1);
+    second.previousDigest.should.equal(first.digest);
+    second.digest.should.not.equal(first.digest);
+    second.digest.should.match(/^u[A-Za-z0-9_-]{43}$/);
+    (await verifyChainLink({link: second, encodedList: 'b'}))
+      .should.equal(true);
+    (await verifyChainLink({link: second, encodedList: 'a'}))
+      .should.equal(false);
+  });
+
+  it('should not append an unchanged version', async () => {
+    const chain = new StatusListChain();
+    const first = await chain.append({encodedList: 'a'});
+    (await chain.append({encodedList: 'a'})).should.deep.equal(first);
+    chain.links.length.should.equal(1);
+  });
+
+  it('should continue a chain from its head link', async () => {
+    const chain = new StatusListChain();
+    await chain.append({encodedList: 'a'});
+    const restored = new StatusListChain({links: [chain.head]});
+    const link = await restored.append({encodedList: 'b'});
+    link.should.deep.equal(await chain.append({encodedList: 'b'}));
+  });
+
+  it('should fail with invalid "links"', async () => {
+    let err;
+    try {
+      new StatusListChain({links: [{sequence: 1, digest: 'u'}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+    err.message.should.equal('"links" must be an array of chain links.');
+  });
+
+  it('should commit the credential to the chain', async () => {
+    const [credential] = await _createVersions({count: 1});
+    const {credentialSubject: {encodedList, statusListChain}} = credential;
+    statusListChain.sequence.should.equal(0);
+    (await verifyChainLink({link: statusListChain, encodedList}))
+      .should.equal(true);
+    credential['@context'][2]['@context'].should.have.property(
+      'statusListChain');
+  });
+});
+
+describe('StatusListChainTracker', () => {
+  it('should accept newer versions', async () => {
+    const [v0, v1, v2, v3] = await _createVersions({count: 4});
+    const tracker = new StatusListChainTracker();
+    should.not.exist(await _check({tracker, credential: v0}));
+    should.not.exist(await _check({tracker, credential: v0}));
+    should.not.exist(await _check({tracker, credential: v1}));
+    // versions may be skipped
+    should.not.exist(await _check({tracker, credential: v3}));
+    tracker.seen[SL_ID].should.deep.equal(
+      v3.credentialSubject.statusListChain);
+    should.exist(await _check({tracker, credential: v2}));
+  });
+
+  it('should reject a rolled back list', async () => {
+    const [v0, v1] = await _createVersions({count: 2});
+    const tracker = new StatusListChainTracker();
+    await tracker.check({credential: v1});
+    const err = await _check({tracker, credential: v0});
+    should.exist(err);
+    err.message.should.equal(
+      `Status list credential "${SL_ID}" was rolled back from version 1 to ` +
+      'version 0.');
+  });
+
+  it('should reject an inconsistent list', async () => {
+    const [v0, v1] = await _createVersions({count: 2});
+    // a version 1 that does not follow the version 0 seen
+    const forked = await createCredential({
+      id: SL_ID, list: await createList({length: 131072}),
+      statusPurpose: 'revocation', issuer,
+      chain: new StatusListChain({
+        links: [{...v0.credentialSubject.statusListChain, digest: 'ufoo'}]
+      })
+    });
+    const tracker = new StatusListChainTracker();
+    await tracker.check({credential: v0});
+    let err = await _check({tracker, credential: forked});
+    should.exist(err);
+    err.message.should.equal(
+      `Version 1 of status list credential "${SL_ID}" is inconsistent with ` +
+      'the versions seen before.');
+
+    // a different version 1 than the one seen
+    tracker.seen = {};
+    await tracker.check({credential: v1});
+    const same = await createCredential({
+      id: SL_ID, list: await createList({length: 131072}),
+      statusPurpose: 'revocation', issuer,
+      chain: new StatusListChain(
+        {links: [v0.credentialSubject.statusListChain]})
+    });
+    same.credentialSubject.statusListChain.sequence.should.equal(1);
+    err = await _check({tracker, credential: same});
+    should.exist(err);
+  });
+
+  it('should reject a link that does not match the list', async () => {
+    const [v0] = await _createVersions({count: 1});
+    const tampered = {
+      ...v0,
+      credentialSubject: {
+        ...v0.credentialSubject,
+        encodedList: await (await createList({length: 131072})).encode()
+      }
+    };
+    const err = await _check(
+      {tracker: new StatusListChainTracker(), credential: tampered});
+    should.exist(err);
+    err.message.should.equal(
+      `The "statusListChain" of status list credential "${SL_ID}" does not ` +
+      'match its list.');
+  });
+
+  it('should reject a credential without a link', async () => {
+    const credential = await createCredential({
+      id: SL_ID, list: await createList({length: 8}),
+      statusPurpose: 'revocation'
+    });
+    const err = await _check(
+      {tracker: new StatusListChainTracker(), credential});
+    should.exist(err);
+    err.message.should.equal(
+      `Status list credential "${SL_ID}" has no "statusListChain".`);
+  });
+});
+
+describe('checkStatus "chainTracker"', () => {
+  it('should reject a list older than the last one seen', async () => {
+    const manager = new StatusListManager(
+      {baseUrl: 'https://example.com/status', length: 8, chain: true});
+    const credentialStatus = await manager.allocate(
+      {credentialId: 'urn:uuid:1'});
+    const {statusListCredential: id} = credentialStatus;
+    const published = [];
+    const publish = async () => {
+      const document = await manager.createStatusListCredential({id});
+      document.issuer = issuer;
+      published.push(document);
+    };
+    await publish();
+    await manager.revoke({credentialId: 'urn:uuid:1'});
+    await publish();
+
+    // the manager keeps the chain across publications
+    published[1].credentialSubject.statusListChain.previousDigest.should
+      .equal(published[0].credentialSubject.statusListChain.digest);
+
+    let served = published[1];
+    const documentLoader = async url => ({
+      contextUrl: null, documentUrl: url, document: served
+    });
+    const credential = _createCredential({credentialStatus});
+    const chainTracker = new StatusListChainTracker();
+    let result = await checkStatus({
+      credential, documentLoader, verifyStatusListCredential: false,
+      chainTracker
+    });
+    should.not.exist(result.error);
+    result.verified.should.equal(false);
+    result.results[0].status.should.equal(1);
+
+    // the issuer serves the list from before the revocation
+    served = published[0];
+    result = await checkStatus({
+      credential, documentLoader, verifyStatusListCredential: false,
+      chainTracker
+    });
+    result.verified.should.equal(false);
+    should.exist(result.error);
+    result.error.message.should.equal(
+      `Status list credential "${id}" was rolled back from version 1 to ` +
+      'version 0.');
+  });
+
+  it('should fail with an invalid "chainTracker"', async () => {
+    const result = await checkStatus({
+      credential: _createCredential(),
+      documentLoader: () => {},
+      verifyStatusListCredential: false,
+      chainTracker: {}
+    });
+    result.verified.should.equal(false);
+    result.error.message.should.equal(
+      '"chainTracker" must be a "StatusListChainTracker".');
+  });
+});
@@ -7,6 +7,11 @@ import suiteCtx2020 from 'ed25519-signature-2020-context';
 const encodedList100KWith50KthRevoked =
   'H4sIAAAAAAAAA-3OMQ0AAAgDsOHfNB72EJJWQRMAAAAAAIDWXAcAAAAAAIDHFrc4zDz' +
   'UMAAA';
+// the same list in the left-to-right bit order of the Bitstring Status List
+// spec, as encoded by `@digitalbazaar/bitstring`
+const encodedBitstring100KWith50KthRevoked =
+  'H4sIAAAAAAAAA-3OMQ0AAAgDsElHOh72EJJWQRMAAAAAAIDWXAcAAAAAAIDHFvRitn7' +
+  'UMAAA';
 const VC_SL_CONTEXT_URL = statusListCtx.constants.CONTEXT_URL_V1;
 const SUITE_CONTEXT_URL = suiteCtx2020.constants.CONTEXT_URL;
 
@@ -63,3 +68,35 @@ export const slCredentialSuspension = {
       '7HbC7wKgzYQUQbFgJYBh7DcZkX2dCM'
   }
 };
+
+// unsigned, so it is only used with `verifyStatusListCredential: false`
+export const bsCredentialRevocation = {
+  '@context': ['https://www.w3.org/ns/credentials/v2'],
+  id: 'https://example.com/status/bitstring/1',
+  issuer: 'did:key:z6MkesAkkxuETfHCMdv3gRTKr6iFiQZMjGT5pM8745oSzGX1',
+  validFrom: '2022-06-02T16:00:21Z',
+  type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+  credentialSubject: {
+    id: 'https://example.com/status/bitstring/1#list',
+    type: 'BitstringStatusList',
+    encodedList: `u${encodedBitstring100KWith50KthRevoked}`,
+    statusPurpose: 'revocation'
+  }
+};
+
+// unsigned legacy revocation list
+export const rlCredential = {
+  '@context': [
+    'https://www.w3.org/2018/credentials/v1',
+    'https://w3id.org/vc-revocation-list-2020/v1'
+  ],
+  id: 'https://example.com/status/rl2020',
+  issuer: 'did:key:z6MkesAkkxuETfHCMdv3gRTKr6iFiQZMjGT5pM8745oSzGX1',
+  issuanceDate: '2020-04-05T14:27:40Z',
+  type: ['VerifiableCredential', 'RevocationList2020Credential'],
+  credentialSubject: {
+    id: 'https://example.com/status/rl2020#list',
+    type: 'RevocationList2020',
+    encodedList: encodedList100KWith50KthRevoked
+  }
+};